@@ -0,0 +1,995 @@
+import React, { useState, useEffect } from 'react';
+import { formatCents, toCents, toDollarInput } from './money';
+
+const CATEGORIES = ['coffee', 'tea', 'pastry', 'snack'];
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
+const PAYMENT_STATUSES = ['processing', 'completed', 'failed', 'voided', 'partially_refunded', 'refunded'];
+const ROLES = ['customer', 'barista', 'admin'];
+const ALLERGENS = ['milk', 'eggs', 'fish', 'shellfish', 'tree-nuts', 'peanuts', 'wheat', 'soy', 'sesame'];
+const PRODUCT_TAGS = ['vegan', 'vegetarian', 'gluten-free', 'dairy-free', 'contains-nuts'];
+const FULFILLMENT_TYPES = ['pickup', 'delivery', 'dine-in'];
+
+const EMPTY_PRODUCT = {
+  name: '',
+  description: '',
+  price: '',
+  category: 'coffee',
+  stock: '',
+  calories: '',
+  ingredients: '',
+  tags: [],
+  // Products can only be made available once their allergens are declared
+  allergensDeclared: false,
+  contains: [],
+  mayContain: [],
+  available: true
+};
+
+const EMPTY_STORE = {
+  name: '',
+  line1: '',
+  city: '',
+  postcode: '',
+  lat: '',
+  lng: '',
+  phone: '',
+  timezone: 'UTC',
+  openingHours: 'Mon-Fri 07:00-19:00, Sat-Sun 08:00-17:00',
+  // Rates in percent; no categories or fulfillment types means all of them
+  taxRules: [],
+  active: true
+};
+
+const EMPTY_TAX_RULE = { name: 'Sales tax', rate: '', categories: [], fulfillmentTypes: [] };
+
+// Admin area: menu, stores, orders, payments and users. Rendered only for role 'admin'.
+function AdminConsole({ apiUrl, currentUser, onProductsChanged }) {
+  const [tab, setTab] = useState('menu');
+
+  // Menu
+  const [products, setProducts] = useState([]);
+  const [productForm, setProductForm] = useState(EMPTY_PRODUCT);
+  const [editingId, setEditingId] = useState(null);
+  const [imageFile, setImageFile] = useState(null);
+  const [storeSettings, setStoreSettings] = useState({}); // storeId -> { available, price } for the product being edited
+
+  // Stores
+  const [stores, setStores] = useState([]);
+  const [storeForm, setStoreForm] = useState(EMPTY_STORE);
+  const [editingStoreId, setEditingStoreId] = useState(null);
+
+  // Orders
+  const [orderSearch, setOrderSearch] = useState({ orderId: '', userId: '', status: '', storeId: '' });
+  const [orders, setOrders] = useState([]);
+  const [overrides, setOverrides] = useState({}); // orderId -> { status, reason }
+
+  // Payments
+  const [paymentSearch, setPaymentSearch] = useState({ orderId: '', userId: '', status: '' });
+  const [payments, setPayments] = useState([]);
+  const [refundForms, setRefundForms] = useState({}); // paymentId -> { amount, reason }
+  const [refunds, setRefunds] = useState({}); // paymentId -> refund records
+
+  // Users
+  const [userSearch, setUserSearch] = useState({ q: '', role: '' });
+  const [users, setUsers] = useState([]);
+
+  // Next page cursor per list (orders, payments, users); null on the last page
+  const [cursors, setCursors] = useState({});
+
+  // Store names are needed on most tabs
+  useEffect(() => {
+    fetchStores();
+  }, []);
+
+  useEffect(() => {
+    if (tab === 'menu') fetchProducts();
+    if (tab === 'orders') searchOrders();
+    if (tab === 'payments') searchPayments();
+    if (tab === 'users') searchUsers();
+  }, [tab]);
+
+  // Authenticated request; throws with the service's error message
+  const request = async (path, options = {}) => {
+    const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+    if (options.body && !(options.body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const res = await fetch(`${apiUrl}${path}`, { ...options, headers });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error || `Request failed (${res.status})`);
+    }
+    return data;
+  };
+
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const queryString = (params) =>
+    new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '')).toString();
+
+  // First page of a list for the current search, or the next page when `more` is set
+  const fetchList = (key, path, params, setItems, more = false) => run(async () => {
+    const page = await request(`${path}?${queryString({ ...params, ...(more && { cursor: cursors[key] }) })}`);
+    setItems(prev => (more ? [...prev, ...page.items] : page.items));
+    setCursors(prev => ({ ...prev, [key]: page.nextCursor }));
+  });
+
+  const imageUrl = (image) => (image && image.startsWith('/') ? `${apiUrl}${image}` : image);
+
+  // Menu
+
+  const fetchProducts = () => run(async () => {
+    setProducts(await request('/api/products'));
+  });
+
+  const editProduct = (product) => {
+    setEditingId(product._id);
+    setImageFile(null);
+    setStoreSettings(Object.fromEntries(stores.map(store => {
+      const entry = (product.stores || []).find(e => e.storeId === store._id) || {};
+      return [store._id, { available: entry.available !== false, price: entry.price == null ? '' : toDollarInput(entry.price) }];
+    })));
+    setProductForm({
+      name: product.name,
+      description: product.description || '',
+      price: toDollarInput(product.price),
+      category: product.category,
+      stock: product.stock == null ? '' : String(product.stock),
+      calories: product.calories == null ? '' : String(product.calories),
+      ingredients: (product.ingredients || []).join(', '),
+      tags: product.tags || [],
+      allergensDeclared: Boolean(product.allergens),
+      contains: product.allergens ? product.allergens.contains : [],
+      mayContain: product.allergens ? product.allergens.mayContain : [],
+      available: product.available
+    });
+  };
+
+  const setStoreSetting = (storeId, changes) => {
+    setStoreSettings({ ...storeSettings, [storeId]: { ...storeSettings[storeId], ...changes } });
+  };
+
+  // How one store sells the product being edited; a blank price means the menu price
+  const saveStoreSetting = (storeId) => run(async () => {
+    const { available, price } = storeSettings[storeId];
+    const updated = await request(`/api/products/${editingId}/stores/${storeId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ available, price: price === '' ? null : toCents(price) })
+    });
+    setProducts(products.map(p => (p._id === updated._id ? updated : p)));
+    onProductsChanged();
+  });
+
+  const resetProductForm = () => {
+    setEditingId(null);
+    setImageFile(null);
+    setProductForm(EMPTY_PRODUCT);
+  };
+
+  const saveProduct = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const stock = productForm.stock === '' ? null : Number(productForm.stock);
+      const details = {
+        name: productForm.name,
+        description: productForm.description,
+        price: toCents(productForm.price),
+        category: productForm.category,
+        calories: productForm.calories === '' ? null : Number(productForm.calories),
+        ingredients: productForm.ingredients.split(',').map(i => i.trim()).filter(Boolean),
+        tags: productForm.tags,
+        available: productForm.available,
+        ...(productForm.allergensDeclared && {
+          allergens: { contains: productForm.contains, mayContain: productForm.mayContain }
+        })
+      };
+
+      let product;
+      if (editingId) {
+        product = await request(`/api/products/${editingId}`, { method: 'PUT', body: JSON.stringify(details) });
+        const current = products.find(p => p._id === editingId);
+        if (current && current.stock !== stock) {
+          product = await request(`/api/products/${editingId}/stock`, {
+            method: 'PATCH',
+            body: JSON.stringify({ stock })
+          });
+        }
+      } else {
+        product = await request('/api/products', { method: 'POST', body: JSON.stringify({ ...details, stock }) });
+      }
+
+      if (imageFile) {
+        const form = new FormData();
+        form.append('image', imageFile);
+        await request(`/api/products/${product._id}/image`, { method: 'POST', body: form });
+      }
+
+      resetProductForm();
+      fetchProducts();
+      onProductsChanged();
+    });
+  };
+
+  const toggleAvailability = (product) => run(async () => {
+    await request(`/api/products/${product._id}/availability`, {
+      method: 'PATCH',
+      body: JSON.stringify({ available: !product.available })
+    });
+    fetchProducts();
+    onProductsChanged();
+  });
+
+  const deleteProduct = (product) => {
+    if (!window.confirm(`Delete ${product.name}?`)) return;
+    run(async () => {
+      await request(`/api/products/${product._id}`, { method: 'DELETE' });
+      fetchProducts();
+      onProductsChanged();
+    });
+  };
+
+  // Orders
+
+  const searchOrders = (more) => fetchList('orders', '/api/orders', orderSearch, setOrders, more);
+
+  const setOverride = (orderId, changes) => {
+    setOverrides({ ...overrides, [orderId]: { ...overrides[orderId], ...changes } });
+  };
+
+  const overrideOrderStatus = (order) => run(async () => {
+    const { status, reason } = overrides[order._id] || {};
+    const updated = await request(`/api/orders/${order._id}/status-override`, {
+      method: 'POST',
+      body: JSON.stringify({ status, reason })
+    });
+    setOrders(orders.map(o => (o._id === updated._id ? updated : o)));
+    setOverrides({ ...overrides, [order._id]: undefined });
+  });
+
+  // Payments
+
+  const searchPayments = (more) => fetchList('payments', '/api/payments', paymentSearch, setPayments, more);
+
+  const setRefundForm = (paymentId, changes) => {
+    setRefundForms({ ...refundForms, [paymentId]: { ...refundForms[paymentId], ...changes } });
+  };
+
+  const refundPayment = (payment) => {
+    const { amount = '', reason = '' } = refundForms[payment._id] || {};
+    const remaining = payment.amount - (payment.refundedAmount || 0);
+    // Typed in dollars
+    const cents = toCents(amount);
+    const label = amount === '' ? `the remaining ${formatCents(remaining)}` : formatCents(cents);
+    if (!window.confirm(`Refund ${label}?`)) return;
+
+    run(async () => {
+      const body = { reason };
+      if (amount !== '') body.amount = cents;
+      await request(`/api/payments/${payment._id}/refund`, { method: 'POST', body: JSON.stringify(body) });
+      setRefundForms({ ...refundForms, [payment._id]: undefined });
+      searchPayments();
+      showRefunds(payment);
+    });
+  };
+
+  const showRefunds = (payment) => run(async () => {
+    const list = await request(`/api/payments/${payment._id}/refunds`);
+    setRefunds(prev => ({ ...prev, [payment._id]: list }));
+  });
+
+  // Users
+
+  // Stores
+
+  const fetchStores = () => run(async () => {
+    setStores(await request('/api/stores?all=true'));
+  });
+
+  const storeName = (storeId) => (stores.find(store => store._id === storeId) || {}).name || storeId;
+
+  const editStore = (store) => {
+    const address = store.address || {};
+    const location = address.location || {};
+    setEditingStoreId(store._id);
+    setStoreForm({
+      name: store.name,
+      line1: address.line1 || '',
+      city: address.city || '',
+      postcode: address.postcode || '',
+      lat: location.lat == null ? '' : String(location.lat),
+      lng: location.lng == null ? '' : String(location.lng),
+      phone: store.phone || '',
+      timezone: store.timezone,
+      openingHours: store.openingHours,
+      taxRules: (store.taxRules || []).map(rule => ({ ...rule, rate: String(rule.rate) })),
+      active: store.active
+    });
+  };
+
+  const setTaxRule = (index, changes) => setStoreForm({
+    ...storeForm,
+    taxRules: storeForm.taxRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+  });
+
+  const toggleTaxRule = (index, key, value) => {
+    const list = storeForm.taxRules[index][key];
+    setTaxRule(index, { [key]: list.includes(value) ? list.filter(v => v !== value) : [...list, value] });
+  };
+
+  const resetStoreForm = () => {
+    setEditingStoreId(null);
+    setStoreForm(EMPTY_STORE);
+  };
+
+  const saveStore = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { name, line1, city, postcode, lat, lng, phone, timezone, openingHours, taxRules, active } = storeForm;
+      const body = JSON.stringify({
+        name,
+        address: {
+          line1,
+          city,
+          postcode,
+          ...(lat !== '' && lng !== '' && { location: { lat: Number(lat), lng: Number(lng) } })
+        },
+        phone,
+        timezone,
+        openingHours,
+        taxRules: taxRules.map(rule => ({ ...rule, rate: Number(rule.rate) })),
+        active
+      });
+      if (editingStoreId) {
+        await request(`/api/stores/${editingStoreId}`, { method: 'PUT', body });
+      } else {
+        await request('/api/stores', { method: 'POST', body });
+      }
+      resetStoreForm();
+      await fetchStores();
+    });
+  };
+
+  const searchUsers = (more) => fetchList('users', '/api/users', userSearch, setUsers, more);
+
+  const assignStore = (user, storeId) => run(async () => {
+    const updated = await request(`/api/users/${user._id}/store`, {
+      method: 'PATCH',
+      body: JSON.stringify({ storeId: storeId || null })
+    });
+    setUsers(users.map(u => (u._id === updated._id ? updated : u)));
+  });
+
+  const changeRole = (user, role) => {
+    if (!window.confirm(`Make ${user.email} ${role}?`)) return;
+    run(async () => {
+      const updated = await request(`/api/users/${user._id}/role`, {
+        method: 'PATCH',
+        body: JSON.stringify({ role })
+      });
+      setUsers(users.map(u => (u._id === updated._id ? updated : u)));
+    });
+  };
+
+  const toggleDisabled = (user) => run(async () => {
+    const updated = await request(`/api/users/${user._id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ disabled: !user.disabled })
+    });
+    setUsers(users.map(u => (u._id === updated._id ? updated : u)));
+  });
+
+  return (
+    <div className="admin">
+      <h2>Admin</h2>
+      <div className="admin-tabs">
+        {['menu', 'stores', 'orders', 'payments', 'users'].map(name => (
+          <button key={name} className={tab === name ? 'active' : ''} onClick={() => setTab(name)}>
+            {name.charAt(0).toUpperCase() + name.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'menu' && (
+        <div className="admin-menu">
+          <form className="admin-form" onSubmit={saveProduct}>
+            <h3>{editingId ? 'Edit Product' : 'New Product'}</h3>
+            <input
+              placeholder="Name"
+              value={productForm.name}
+              onChange={(e) => setProductForm({ ...productForm, name: e.target.value })}
+              required
+            />
+            <textarea
+              placeholder="Description"
+              value={productForm.description}
+              onChange={(e) => setProductForm({ ...productForm, description: e.target.value })}
+            />
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              placeholder="Price"
+              value={productForm.price}
+              onChange={(e) => setProductForm({ ...productForm, price: e.target.value })}
+              required
+            />
+            <select
+              value={productForm.category}
+              onChange={(e) => setProductForm({ ...productForm, category: e.target.value })}
+            >
+              {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Stock (blank = not tracked)"
+              value={productForm.stock}
+              onChange={(e) => setProductForm({ ...productForm, stock: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Calories"
+              value={productForm.calories}
+              onChange={(e) => setProductForm({ ...productForm, calories: e.target.value })}
+            />
+            <input
+              placeholder="Ingredients (comma separated)"
+              value={productForm.ingredients}
+              onChange={(e) => setProductForm({ ...productForm, ingredients: e.target.value })}
+            />
+            {PRODUCT_TAGS.map(tag => (
+              <label key={tag}>
+                <input
+                  type="checkbox"
+                  checked={productForm.tags.includes(tag)}
+                  onChange={() => setProductForm({
+                    ...productForm,
+                    tags: productForm.tags.includes(tag)
+                      ? productForm.tags.filter(t => t !== tag)
+                      : [...productForm.tags, tag]
+                  })}
+                />
+                {tag}
+              </label>
+            ))}
+            <fieldset className="admin-allergens">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={productForm.allergensDeclared}
+                  onChange={(e) => setProductForm({ ...productForm, allergensDeclared: e.target.checked })}
+                />
+                Allergens checked
+              </label>
+              {productForm.allergensDeclared && ['contains', 'mayContain'].map(key => (
+                <div key={key}>
+                  {key === 'contains' ? 'Contains:' : 'May contain:'}
+                  {ALLERGENS.map(allergen => (
+                    <label key={allergen}>
+                      <input
+                        type="checkbox"
+                        checked={productForm[key].includes(allergen)}
+                        onChange={() => setProductForm({
+                          ...productForm,
+                          [key]: productForm[key].includes(allergen)
+                            ? productForm[key].filter(a => a !== allergen)
+                            : [...productForm[key], allergen]
+                        })}
+                      />
+                      {allergen}
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </fieldset>
+            <label>
+              <input
+                type="checkbox"
+                checked={productForm.available}
+                onChange={(e) => setProductForm({ ...productForm, available: e.target.checked })}
+              />
+              Available
+            </label>
+            <label>
+              Image{' '}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                onChange={(e) => setImageFile(e.target.files[0] || null)}
+              />
+            </label>
+            <button type="submit">{editingId ? 'Save Changes' : 'Add Product'}</button>
+            {editingId && <button type="button" onClick={resetProductForm}>Cancel</button>}
+          </form>
+
+          {editingId && stores.length > 0 && (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Store</th>
+                  <th>Available there</th>
+                  <th>Price there</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {stores.map(store => {
+                  const setting = storeSettings[store._id] || { available: true, price: '' };
+                  return (
+                    <tr key={store._id}>
+                      <td>{store.name}</td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={setting.available}
+                          onChange={(e) => setStoreSetting(store._id, { available: e.target.checked })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          placeholder="Menu price"
+                          value={setting.price}
+                          onChange={(e) => setStoreSetting(store._id, { price: e.target.value })}
+                        />
+                      </td>
+                      <td><button onClick={() => saveStoreSetting(store._id)}>Save</button></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Name</th>
+                <th>Category</th>
+                <th>Price</th>
+                <th>Stock</th>
+                <th>Available</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {products.map(product => (
+                <tr key={product._id}>
+                  <td>{product.image && <img className="admin-thumb" src={imageUrl(product.image)} alt="" />}</td>
+                  <td>{product.name}</td>
+                  <td>{product.category}</td>
+                  <td>{formatCents(product.price)}</td>
+                  <td>{product.stock == null ? '-' : product.stock}</td>
+                  <td>
+                    <button onClick={() => toggleAvailability(product)}>
+                      {product.available ? 'Yes' : 'No'}
+                    </button>
+                  </td>
+                  <td>
+                    <button onClick={() => editProduct(product)}>Edit</button>
+                    <button onClick={() => deleteProduct(product)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === 'stores' && (
+        <div className="admin-stores">
+          <form className="admin-form" onSubmit={saveStore}>
+            <h3>{editingStoreId ? 'Edit Store' : 'New Store'}</h3>
+            <input
+              placeholder="Name"
+              value={storeForm.name}
+              onChange={(e) => setStoreForm({ ...storeForm, name: e.target.value })}
+              required
+            />
+            <input
+              placeholder="Street"
+              value={storeForm.line1}
+              onChange={(e) => setStoreForm({ ...storeForm, line1: e.target.value })}
+            />
+            <input
+              placeholder="City"
+              value={storeForm.city}
+              onChange={(e) => setStoreForm({ ...storeForm, city: e.target.value })}
+            />
+            <input
+              placeholder="Postcode"
+              value={storeForm.postcode}
+              onChange={(e) => setStoreForm({ ...storeForm, postcode: e.target.value })}
+            />
+            <input
+              type="number"
+              step="any"
+              placeholder="Latitude"
+              value={storeForm.lat}
+              onChange={(e) => setStoreForm({ ...storeForm, lat: e.target.value })}
+            />
+            <input
+              type="number"
+              step="any"
+              placeholder="Longitude"
+              value={storeForm.lng}
+              onChange={(e) => setStoreForm({ ...storeForm, lng: e.target.value })}
+            />
+            <input
+              placeholder="Phone"
+              value={storeForm.phone}
+              onChange={(e) => setStoreForm({ ...storeForm, phone: e.target.value })}
+            />
+            <input
+              placeholder="Time zone, e.g. America/Los_Angeles"
+              value={storeForm.timezone}
+              onChange={(e) => setStoreForm({ ...storeForm, timezone: e.target.value })}
+              required
+            />
+            <input
+              placeholder="Opening hours, e.g. Mon-Fri 07:00-19:00, Sat 08:00-17:00"
+              value={storeForm.openingHours}
+              onChange={(e) => setStoreForm({ ...storeForm, openingHours: e.target.value })}
+              required
+            />
+            <fieldset className="admin-tax-rules">
+              Tax rules (none = the default rules):
+              {storeForm.taxRules.map((rule, i) => (
+                <div key={i}>
+                  <input
+                    placeholder="Name"
+                    value={rule.name}
+                    onChange={(e) => setTaxRule(i, { name: e.target.value })}
+                    required
+                  />
+                  <input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    max="100"
+                    placeholder="Rate %"
+                    value={rule.rate}
+                    onChange={(e) => setTaxRule(i, { rate: e.target.value })}
+                    required
+                  />
+                  {CATEGORIES.map(category => (
+                    <label key={category}>
+                      <input
+                        type="checkbox"
+                        checked={rule.categories.includes(category)}
+                        onChange={() => toggleTaxRule(i, 'categories', category)}
+                      />
+                      {category}
+                    </label>
+                  ))}
+                  {FULFILLMENT_TYPES.map(type => (
+                    <label key={type}>
+                      <input
+                        type="checkbox"
+                        checked={rule.fulfillmentTypes.includes(type)}
+                        onChange={() => toggleTaxRule(i, 'fulfillmentTypes', type)}
+                      />
+                      {type}
+                    </label>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setStoreForm({ ...storeForm, taxRules: storeForm.taxRules.filter((r, j) => j !== i) })}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setStoreForm({ ...storeForm, taxRules: [...storeForm.taxRules, EMPTY_TAX_RULE] })}
+              >
+                Add tax rule
+              </button>
+            </fieldset>
+            <label>
+              <input
+                type="checkbox"
+                checked={storeForm.active}
+                onChange={(e) => setStoreForm({ ...storeForm, active: e.target.checked })}
+              />
+              Taking orders
+            </label>
+            <button type="submit">{editingStoreId ? 'Save Changes' : 'Add Store'}</button>
+            {editingStoreId && <button type="button" onClick={resetStoreForm}>Cancel</button>}
+          </form>
+
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Address</th>
+                <th>Hours</th>
+                <th>Tax</th>
+                <th>Open</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {stores.map(store => (
+                <tr key={store._id}>
+                  <td>{store.name}</td>
+                  <td>{['line1', 'city', 'postcode'].map(key => (store.address || {})[key]).filter(Boolean).join(', ')}</td>
+                  <td>
+                    {store.openingHours}
+                    <div className="admin-muted">{store.timezone}</div>
+                  </td>
+                  <td>
+                    {(store.taxRules || []).length === 0 ? 'Default' : store.taxRules.map((rule, i) => (
+                      <div key={i}>
+                        {rule.name} {rule.rate}%
+                        <span className="admin-muted">
+                          {' '}{[...rule.categories, ...rule.fulfillmentTypes].join(', ') || 'everything'}
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                  <td>{store.active ? 'Yes' : 'No'}</td>
+                  <td><button onClick={() => editStore(store)}>Edit</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === 'orders' && (
+        <div className="admin-orders">
+          <form className="admin-search" onSubmit={(e) => { e.preventDefault(); searchOrders(); }}>
+            <input
+              placeholder="Order # or ID"
+              value={orderSearch.orderId}
+              onChange={(e) => setOrderSearch({ ...orderSearch, orderId: e.target.value })}
+            />
+            <input
+              placeholder="User ID"
+              value={orderSearch.userId}
+              onChange={(e) => setOrderSearch({ ...orderSearch, userId: e.target.value })}
+            />
+            <select
+              value={orderSearch.status}
+              onChange={(e) => setOrderSearch({ ...orderSearch, status: e.target.value })}
+            >
+              <option value="">Any status</option>
+              {ORDER_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+            <select
+              value={orderSearch.storeId}
+              onChange={(e) => setOrderSearch({ ...orderSearch, storeId: e.target.value })}
+            >
+              <option value="">All stores</option>
+              {stores.map(store => <option key={store._id} value={store._id}>{store.name}</option>)}
+            </select>
+            <button type="submit">Search</button>
+          </form>
+
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>User</th>
+                <th>Items</th>
+                <th>Total</th>
+                <th>Status</th>
+                <th>Payment</th>
+                <th>Override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(order => {
+                const override = overrides[order._id] || {};
+                return (
+                  <tr key={order._id}>
+                    <td>
+                      #{order._id.slice(-6)}
+                      <div className="admin-muted">{new Date(order.createdAt).toLocaleString()}</div>
+                    </td>
+                    <td className="admin-muted">{order.userId}</td>
+                    <td>
+                      {order.items.map(item => `${item.quantity} x ${item.name}`).join(', ')}
+                      <div className="admin-muted">
+                        {order.storeId && `${storeName(order.storeId)}: `}
+                        {order.fulfillmentType || 'pickup'}
+                        {order.tableNumber && `, table ${order.tableNumber}`}
+                        {order.deliveryAddress && `, ${order.deliveryAddress}`}
+                        {order.pickupAt && `, for ${new Date(order.pickupAt).toLocaleString()}`}
+                      </div>
+                    </td>
+                    <td>{formatCents(order.totalAmount)}</td>
+                    <td>{order.status}</td>
+                    <td>{order.paymentStatus}</td>
+                    <td>
+                      <select
+                        value={override.status || ''}
+                        onChange={(e) => setOverride(order._id, { status: e.target.value })}
+                      >
+                        <option value="">Set status...</option>
+                        {ORDER_STATUSES.filter(status => status !== order.status).map(status => (
+                          <option key={status} value={status}>{status}</option>
+                        ))}
+                      </select>
+                      <input
+                        placeholder="Reason"
+                        value={override.reason || ''}
+                        onChange={(e) => setOverride(order._id, { reason: e.target.value })}
+                      />
+                      <button
+                        onClick={() => overrideOrderStatus(order)}
+                        disabled={!override.status || !override.reason}
+                      >
+                        Apply
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {cursors.orders && <button className="admin-load-more" onClick={() => searchOrders(true)}>Load more</button>}
+        </div>
+      )}
+
+      {tab === 'payments' && (
+        <div className="admin-payments">
+          <form className="admin-search" onSubmit={(e) => { e.preventDefault(); searchPayments(); }}>
+            <input
+              placeholder="Order ID"
+              value={paymentSearch.orderId}
+              onChange={(e) => setPaymentSearch({ ...paymentSearch, orderId: e.target.value })}
+            />
+            <input
+              placeholder="User ID"
+              value={paymentSearch.userId}
+              onChange={(e) => setPaymentSearch({ ...paymentSearch, userId: e.target.value })}
+            />
+            <select
+              value={paymentSearch.status}
+              onChange={(e) => setPaymentSearch({ ...paymentSearch, status: e.target.value })}
+            >
+              <option value="">Any status</option>
+              {PAYMENT_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+            <button type="submit">Search</button>
+          </form>
+
+          {payments.map(payment => {
+            const refundForm = refundForms[payment._id] || {};
+            const refundable = ['completed', 'partially_refunded'].includes(payment.status);
+            return (
+              <div key={payment._id} className="admin-payment">
+                <div>
+                  <strong>{formatCents(payment.amount)}</strong> {payment.status}
+                  {payment.refundedAmount > 0 && ` (refunded ${formatCents(payment.refundedAmount)})`}
+                  <div className="admin-muted">
+                    Order {payment.orderId} · {new Date(payment.createdAt).toLocaleString()}
+                    {payment.failureReason && ` · ${payment.failureReason}`}
+                  </div>
+                </div>
+                {refundable && (
+                  <div className="admin-refund">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      placeholder="Amount (blank = all)"
+                      value={refundForm.amount || ''}
+                      onChange={(e) => setRefundForm(payment._id, { amount: e.target.value })}
+                    />
+                    <input
+                      placeholder="Reason"
+                      value={refundForm.reason || ''}
+                      onChange={(e) => setRefundForm(payment._id, { reason: e.target.value })}
+                    />
+                    <button onClick={() => refundPayment(payment)}>Refund</button>
+                  </div>
+                )}
+                <button onClick={() => showRefunds(payment)}>Show refunds</button>
+                {refunds[payment._id] && (
+                  <ul>
+                    {refunds[payment._id].length === 0 && <li>No refunds</li>}
+                    {refunds[payment._id].map(refund => (
+                      <li key={refund._id}>
+                        {formatCents(refund.amount)} on {new Date(refund.createdAt).toLocaleString()}
+                        {refund.status && refund.status !== 'succeeded' && ` (${refund.status})`}
+                        {refund.reason && ` - ${refund.reason}`}
+                        {refund.items.length > 0 && ` (${refund.items.map(i => `${i.quantity} x ${i.name}`).join(', ')})`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+          {cursors.payments && <button className="admin-load-more" onClick={() => searchPayments(true)}>Load more</button>}
+        </div>
+      )}
+
+      {tab === 'users' && (
+        <div className="admin-users">
+          <form className="admin-search" onSubmit={(e) => { e.preventDefault(); searchUsers(); }}>
+            <input
+              placeholder="Name or email"
+              value={userSearch.q}
+              onChange={(e) => setUserSearch({ ...userSearch, q: e.target.value })}
+            />
+            <select
+              value={userSearch.role}
+              onChange={(e) => setUserSearch({ ...userSearch, role: e.target.value })}
+            >
+              <option value="">Any role</option>
+              {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+            <button type="submit">Search</button>
+          </form>
+
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Phone</th>
+                <th>Role</th>
+                <th>Store</th>
+                <th>Account</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => {
+                const isSelf = user._id === currentUser._id;
+                return (
+                  <tr key={user._id}>
+                    <td>{user.name}</td>
+                    <td>{user.email}</td>
+                    <td>{user.phone}</td>
+                    <td>
+                      <select
+                        value={user.role}
+                        disabled={isSelf}
+                        onChange={(e) => changeRole(user, e.target.value)}
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      {user.role !== 'customer' && (
+                        <select value={user.storeId || ''} onChange={(e) => assignStore(user, e.target.value)}>
+                          <option value="">All stores</option>
+                          {stores.map(store => <option key={store._id} value={store._id}>{store.name}</option>)}
+                        </select>
+                      )}
+                    </td>
+                    <td>
+                      <button onClick={() => toggleDisabled(user)} disabled={isSelf}>
+                        {user.disabled ? 'Enable' : 'Disable'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {cursors.users && <button className="admin-load-more" onClick={() => searchUsers(true)}>Load more</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminConsole;
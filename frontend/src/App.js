@@ -1,16 +1,240 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
+import AdminConsole from './AdminConsole';
+import { formatCents, toCents } from './money';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
+const POLL_INTERVAL_MS = 10000; // fallback while the live stream is unavailable
+
+const NOTIFICATION_TYPES = [
+  { type: 'order_update', label: 'Order updates' },
+  { type: 'payment_success', label: 'Payment received' },
+  { type: 'payment_failed', label: 'Payment problems' },
+  { type: 'refund', label: 'Refunds' },
+  { type: 'loyalty', label: 'Rewards and tiers' },
+  { type: 'promotional', label: 'Offers and news' },
+  { type: 'system', label: 'Account and system' }
+];
+const CHANNELS = [
+  { channel: 'email', label: 'Email' },
+  { channel: 'sms', label: 'SMS' },
+  { channel: 'push', label: 'Push' }
+];
+const TIME_ZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+
+const CATEGORIES = ['coffee', 'tea', 'pastry', 'snack'];
+const DIETARY_TAGS = [
+  { tag: 'vegan', label: 'Vegan' },
+  { tag: 'vegetarian', label: 'Vegetarian' },
+  { tag: 'gluten-free', label: 'Gluten free' },
+  { tag: 'dairy-free', label: 'Dairy free' }
+];
+// Allergen tags are filtered the other way round: hide what contains them
+const ALLERGEN_TAGS = [
+  { tag: 'contains-nuts', label: 'Nuts' }
+];
+const ALLERGENS = [
+  { allergen: 'milk', label: 'Milk' },
+  { allergen: 'eggs', label: 'Eggs' },
+  { allergen: 'fish', label: 'Fish' },
+  { allergen: 'shellfish', label: 'Shellfish' },
+  { allergen: 'tree-nuts', label: 'Tree nuts' },
+  { allergen: 'peanuts', label: 'Peanuts' },
+  { allergen: 'wheat', label: 'Wheat' },
+  { allergen: 'soy', label: 'Soy' },
+  { allergen: 'sesame', label: 'Sesame' }
+];
+const NUTRITION_FACTS = [
+  { key: 'calories', label: 'Calories', unit: '' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'saturatedFat', label: 'Saturated fat', unit: 'g' },
+  { key: 'carbohydrates', label: 'Carbohydrates', unit: 'g' },
+  { key: 'sugars', label: 'Sugars', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+  { key: 'caffeine', label: 'Caffeine', unit: 'mg' }
+];
+const allergenNames = (allergens) =>
+  allergens.map(allergen => (ALLERGENS.find(a => a.allergen === allergen) || { label: allergen }).label).join(', ');
+
+const MENU_SORTS = [
+  { sort: '', label: 'Best match / name' },
+  { sort: 'price', label: 'Price: low to high' },
+  { sort: '-price', label: 'Price: high to low' },
+  { sort: 'popularity', label: 'Most popular' }
+];
+const EMPTY_MENU_FILTERS = {
+  q: '',
+  category: '',
+  tags: [],
+  excludeTags: [],
+  excludeAllergens: [],
+  minPrice: '',
+  maxPrice: '',
+  minCalories: '',
+  maxCalories: '',
+  sort: ''
+};
+const SEARCH_DEBOUNCE_MS = 300;
+
+const LOYALTY_ENTRY_LABELS = {
+  earn: 'Earned',
+  reverse: 'Refunded',
+  redeem: 'Spent',
+  restore: 'Given back'
+};
+
+const FULFILLMENT_TYPES = [
+  { type: 'pickup', label: 'Pickup' },
+  { type: 'delivery', label: 'Delivery' },
+  { type: 'dine-in', label: 'Dine in' }
+];
+const EMPTY_ADDRESS = { label: '', line1: '', line2: '', city: '', postcode: '', instructions: '' };
+
+const pickupTime = (time) =>
+  new Date(time).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Where an order goes, in a few words
+const fulfillmentLabel = (order) => {
+  if (order.fulfillmentType === 'delivery') return `Delivery to ${order.deliveryAddress}`;
+  if (order.fulfillmentType === 'dine-in') return `Table ${order.tableNumber}`;
+  return order.pickupAt ? `Pickup ${pickupTime(order.pickupAt)}` : 'Pickup';
+};
+
+// Days that can be ordered ahead for, as YYYY-MM-DD
+const ORDER_AHEAD_DAYS = 7;
+const localDay = (time) => new Date(time).toLocaleDateString('en-CA');
+const orderAheadDays = () =>
+  Array.from({ length: ORDER_AHEAD_DAYS }, (_, i) => localDay(Date.now() + i * 24 * 60 * 60 * 1000));
+
+const STAFF_ROLES = ['barista', 'admin'];
+// One-tap kitchen actions per order status
+const KITCHEN_NEXT = {
+  confirmed: { status: 'preparing', label: 'Start' },
+  preparing: { status: 'ready', label: 'Ready' }
+};
+// Minutes waiting before a ticket turns amber / red
+const KITCHEN_WARN_MINUTES = 5;
+const KITCHEN_LATE_MINUTES = 10;
+
+const TIP_PERCENTS = [0, 10, 15, 20];
+
+// The server prices the cart; this is what it looks like before the first response
+const EMPTY_CART = {
+  items: [],
+  subtotal: 0,
+  discounts: [],
+  discountTotal: 0,
+  taxes: [],
+  taxTotal: 0,
+  deliveryFee: 0,
+  tip: 0,
+  totalAmount: 0
+};
+
+const newIdempotencyKey = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Merge a refreshed first page into a list that may already hold later pages
+const mergeFirstPage = (list, items) => {
+  const fresh = new Set(items.map(item => item._id));
+  const oldest = items.length ? items[items.length - 1].createdAt : null;
+  return [...items, ...list.filter(item => !fresh.has(item._id) && oldest && item.createdAt < oldest)];
+};
+
+// Infinite scroll: calls onVisible whenever it scrolls into view at the end of a list
+function LoadMore({ onVisible }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onVisible();
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [onVisible]);
+
+  return <div ref={ref} className="load-more">Loading more...</div>;
+}
+
+// Subtotal, discounts, tax lines, delivery fee, tip and total of a cart or an order
+function Breakdown({ totals }) {
+  return (
+    <div className="breakdown">
+      <div>
+        <span>Subtotal</span>
+        <span>{formatCents(totals.subtotal)}</span>
+      </div>
+      {(totals.discounts || []).map(discount => (
+        <div key={discount.promotionId || discount.type} className="breakdown-discount">
+          <span>{discount.name}{discount.code && ` (${discount.code})`}</span>
+          <span>-{formatCents(discount.amount)}</span>
+        </div>
+      ))}
+      {(totals.taxes || []).map(tax => (
+        <div key={`${tax.name} ${tax.rate}`}>
+          <span>{tax.name} ({tax.rate}%)</span>
+          <span>{formatCents(tax.amount)}</span>
+        </div>
+      ))}
+      {totals.deliveryFee > 0 && (
+        <div>
+          <span>Delivery</span>
+          <span>{formatCents(totals.deliveryFee)}</span>
+        </div>
+      )}
+      {totals.tip > 0 && (
+        <div>
+          <span>Tip</span>
+          <span>{formatCents(totals.tip)}</span>
+        </div>
+      )}
+      <div className="breakdown-total">
+        <span>Total</span>
+        <span>{formatCents(totals.totalAmount)}</span>
+      </div>
+    </div>
+  );
+}
 
 function App() {
   const [products, setProducts] = useState([]);
-  const [cart, setCart] = useState([]);
+  const [cart, setCart] = useState(EMPTY_CART); // kept on the server, repriced on every read
   const [user, setUser] = useState(null);
   const [orders, setOrders] = useState([]);
   const [notifications, setNotifications] = useState([]);
+  // Cursors for the next page of each list; null once everything is loaded
+  const [ordersCursor, setOrdersCursor] = useState(null);
+  const [notificationsCursor, setNotificationsCursor] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const loadingMore = useRef({});
   const [view, setView] = useState('products'); // products, cart, orders, notifications
   const [loading, setLoading] = useState(false);
+  const [selections, setSelections] = useState({}); // productId -> { groupId: [optionId] }
+  const [menuFilters, setMenuFilters] = useState(EMPTY_MENU_FILTERS);
+  // The store being ordered from, remembered on this device
+  const [stores, setStores] = useState([]);
+  const [storeId, setStoreId] = useState(localStorage.getItem('storeId') || '');
+  const [promoInput, setPromoInput] = useState('');
+  const [promoError, setPromoError] = useState('');
+  const [rewardError, setRewardError] = useState('');
+  const [loyalty, setLoyalty] = useState(null);
+  const [loyaltyHistory, setLoyaltyHistory] = useState([]);
+  const [loyaltyCursor, setLoyaltyCursor] = useState(null);
+  const [preferences, setPreferences] = useState(null);
+  const [allergenDraft, setAllergenDraft] = useState([]);
+  const [addressDraft, setAddressDraft] = useState(EMPTY_ADDRESS);
+  const [tableDraft, setTableDraft] = useState('');
+  // Pickup slots for the day being looked at; no day means as soon as possible
+  const [slotDay, setSlotDay] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  // One key per cart contents, so double clicks and retries place a single order
+  const checkoutKey = useRef(newIdempotencyKey());
 
   // Auth form
   const [email, setEmail] = useState('');
@@ -23,21 +247,84 @@ function App() {
     if (token) {
       fetchUserProfile(token);
     }
-    fetchProducts();
+    fetchStores();
   }, []);
 
+  // Menu search: refetch as the filters or the store change, waiting for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(fetchProducts, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [menuFilters, storeId]);
+
+  // The cart is priced at the chosen store
+  useEffect(() => {
+    if (user && storeId) updateCart('PATCH', '', { storeId });
+  }, [user, storeId]);
+
+  useEffect(() => {
+    checkoutKey.current = newIdempotencyKey();
+  }, [cart.updatedAt]);
+
+  // Show the slots around a pickup time already on the cart
+  useEffect(() => {
+    if (cart.pickupAt && localDay(cart.pickupAt) !== slotDay) {
+      fetchSlots(localDay(cart.pickupAt));
+    }
+  }, [cart.pickupAt]);
+
   useEffect(() => {
     if (user) {
-      fetchOrders();
-      fetchNotifications();
-      const interval = setInterval(fetchNotifications, 10000); // Poll every 10s
-      return () => clearInterval(interval);
+      fetchOrders(true);
+      fetchNotifications(true);
+      fetchLoyalty();
+      fetchCart();
+      if (STAFF_ROLES.includes(user.role)) fetchQueue();
+      return subscribeToUpdates();
     }
   }, [user]);
 
+  // Kitchen display: load the queue and keep the waiting times ticking
+  useEffect(() => {
+    if (view === 'kitchen') {
+      fetchQueue();
+      const ticker = setInterval(() => setNow(Date.now()), 15000);
+      return () => clearInterval(ticker);
+    }
+  }, [view]);
+
+  const isStaff = user && STAFF_ROLES.includes(user.role);
+
+  const fetchStores = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/stores`);
+      if (res.ok) setStores(await res.json());
+    } catch (error) {
+      console.error('Error fetching stores:', error);
+    }
+  };
+
+  const chooseStore = (id) => {
+    if (id) localStorage.setItem('storeId', id);
+    else localStorage.removeItem('storeId');
+    setStoreId(id);
+    setSlotDay('');
+    setSlots([]);
+  };
+
+  const store = stores.find(s => s._id === storeId);
+  const storeName = (id) => (stores.find(s => s._id === id) || {}).name;
+
   const fetchProducts = async () => {
     try {
-      const res = await fetch(`${API_URL}/api/products`);
+      const query = new URLSearchParams();
+      if (storeId) query.set('storeId', storeId);
+      for (const [key, value] of Object.entries(menuFilters)) {
+        const param = Array.isArray(value) ? value.join(',') : value.trim();
+        if (!param) continue;
+        // Typed in dollars, filtered in cents
+        query.set(key, key === 'minPrice' || key === 'maxPrice' ? toCents(param) : param);
+      }
+      const res = await fetch(`${API_URL}/api/products?${query}`);
       const data = await res.json();
       setProducts(data);
     } catch (error) {
@@ -61,32 +348,157 @@ function App() {
     }
   };
 
-  const fetchOrders = async () => {
+  const fetchPage = async (path, cursor) => {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const res = await fetch(`${API_URL}${path}${query}`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    });
+    return res.json();
+  };
+
+  // First page of orders. `reset` starts the list over; otherwise the page is merged in
+  // so orders already loaded by scrolling stay put.
+  const fetchOrders = async (reset = false) => {
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch(`${API_URL}/api/orders/user/${user._id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      const data = await res.json();
-      setOrders(data);
+      const { items, nextCursor } = await fetchPage(`/api/orders/user/${user._id}`);
+      if (reset) {
+        setOrders(items);
+        setOrdersCursor(nextCursor);
+      } else {
+        setOrders(prev => mergeFirstPage(prev, items));
+      }
     } catch (error) {
       console.error('Error fetching orders:', error);
     }
   };
 
-  const fetchNotifications = async () => {
+  const fetchNotifications = async (reset = false) => {
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch(`${API_URL}/api/notifications/user/${user._id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      const data = await res.json();
-      setNotifications(data);
+      const page = await fetchPage(`/api/notifications/user/${user._id}`);
+      if (reset) {
+        setNotifications(page.items);
+        setNotificationsCursor(page.nextCursor);
+      } else {
+        setNotifications(prev => mergeFirstPage(prev, page.items));
+      }
+      setUnreadCount(page.unreadCount);
     } catch (error) {
       console.error('Error fetching notifications:', error);
     }
   };
 
+  // Points balance, tier and rewards, with the first page of the points history
+  const fetchLoyalty = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/users/${user._id}/loyalty`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      if (res.ok) setLoyalty(await res.json());
+      const { items, nextCursor } = await fetchPage(`/api/users/${user._id}/loyalty/history`);
+      setLoyaltyHistory(items);
+      setLoyaltyCursor(nextCursor);
+    } catch (error) {
+      console.error('Error fetching loyalty:', error);
+    }
+  };
+
+  // Append the next page of a list; one request per list at a time
+  const loadMore = async (key, path, cursor, setItems, setCursor) => {
+    if (!cursor || loadingMore.current[key]) return;
+    loadingMore.current[key] = true;
+    try {
+      const { items, nextCursor } = await fetchPage(path, cursor);
+      setItems(prev => [...prev, ...items.filter(item => !prev.some(p => p._id === item._id))]);
+      setCursor(nextCursor);
+    } catch (error) {
+      console.error(`Error loading more ${key}:`, error);
+    } finally {
+      loadingMore.current[key] = false;
+    }
+  };
+
+  const loadMoreOrders = () =>
+    loadMore('orders', `/api/orders/user/${user._id}`, ordersCursor, setOrders, setOrdersCursor);
+
+  const loadMoreLoyaltyHistory = () =>
+    loadMore('loyalty', `/api/users/${user._id}/loyalty/history`, loyaltyCursor, setLoyaltyHistory, setLoyaltyCursor);
+
+  const loadMoreNotifications = () =>
+    loadMore('notifications', `/api/notifications/user/${user._id}`, notificationsCursor, setNotifications, setNotificationsCursor);
+
+  // Live notifications and order status over Server-Sent Events.
+  // Polls while the stream is down; returns a cleanup function.
+  const subscribeToUpdates = () => {
+    let source = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let retries = 0;
+    let missedUpdates = false;
+
+    const poll = () => {
+      fetchNotifications();
+      fetchOrders();
+      if (isStaff) fetchQueue();
+    };
+    const startPolling = () => {
+      if (!pollTimer) pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const connect = () => {
+      const token = localStorage.getItem('token');
+      source = new EventSource(`${API_URL}/api/notifications/stream?token=${encodeURIComponent(token)}`);
+
+      source.onopen = () => {
+        retries = 0;
+        stopPolling();
+        if (missedUpdates) poll();
+        missedUpdates = false;
+      };
+
+      source.onerror = () => {
+        missedUpdates = true;
+        startPolling();
+        // The browser reconnects by itself unless the stream was refused outright
+        if (source.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(connect, Math.min(1000 * 2 ** retries++, 30000));
+        }
+      };
+
+      source.addEventListener('notification', (e) => {
+        const notification = JSON.parse(e.data);
+        setNotifications(prev => prev.some(n => n._id === notification._id)
+          ? prev
+          : [notification, ...prev]);
+        if (!notification.read) setUnreadCount(count => count + 1);
+        if (notification.type === 'loyalty') fetchLoyalty();
+      });
+
+      source.addEventListener('order', (e) => {
+        const { orderId, status } = JSON.parse(e.data);
+        setOrders(prev => prev.map(order => order._id === orderId ? { ...order, status } : order));
+      });
+
+      // Staff only: some order entered or left the kitchen queue
+      source.addEventListener('queue', () => fetchQueue());
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      connect();
+    }
+
+    return () => {
+      if (source) source.close();
+      clearTimeout(retryTimer);
+      stopPolling();
+    };
+  };
+
   const handleAuth = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -111,7 +523,7 @@ function App() {
           setIsRegister(false);
         } else {
           localStorage.setItem('token', data.token);
-          setUser(data.user);
+          await fetchUserProfile(data.token);
           setEmail('');
           setPassword('');
         }
@@ -130,34 +542,193 @@ function App() {
     setUser(null);
     setOrders([]);
     setNotifications([]);
-    setCart([]);
+    setOrdersCursor(null);
+    setNotificationsCursor(null);
+    setUnreadCount(0);
+    setLoyalty(null);
+    setLoyaltyHistory([]);
+    setLoyaltyCursor(null);
+    setCart(EMPTY_CART);
+  };
+
+  // The user's own allergens that a product contains or may contain
+  const allergenConflicts = (allergens) => {
+    if (!user || !user.allergens || !allergens) return [];
+    return [...new Set([...allergens.contains, ...allergens.mayContain])]
+      .filter(allergen => user.allergens.includes(allergen));
+  };
+
+  const toggleMenuTag = (key, tag) => {
+    const tags = menuFilters[key].includes(tag)
+      ? menuFilters[key].filter(t => t !== tag)
+      : [...menuFilters[key], tag];
+    setMenuFilters({ ...menuFilters, [key]: tags });
   };
 
-  const addToCart = (product) => {
-    const existing = cart.find(item => item._id === product._id);
-    if (existing) {
-      setCart(cart.map(item => 
-        item._id === product._id 
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
-      ));
+  const defaultSelection = (product) => Object.fromEntries(
+    (product.modifierGroups || []).map(group => [
+      group._id,
+      group.options.filter(o => o.isDefault && o.available !== false).map(o => o._id)
+    ])
+  );
+
+  const getSelection = (product) => selections[product._id] || defaultSelection(product);
+
+  const toggleOption = (product, group, optionId) => {
+    const current = getSelection(product);
+    const picked = current[group._id] || [];
+    const max = group.maxSelections || 1;
+    let next;
+
+    if (picked.includes(optionId)) {
+      next = group.required && picked.length === 1 ? picked : picked.filter(id => id !== optionId);
+    } else if (max === 1) {
+      next = [optionId];
     } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      next = picked.length < max ? [...picked, optionId] : picked;
     }
+
+    setSelections({ ...selections, [product._id]: { ...current, [group._id]: next } });
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item._id !== productId));
+  // Chosen options with names and price deltas, in menu order
+  const describeSelection = (product) => {
+    const selection = getSelection(product);
+    return (product.modifierGroups || []).flatMap(group =>
+      group.options
+        .filter(option => (selection[group._id] || []).includes(option._id))
+        .map(option => ({
+          groupId: group._id,
+          group: group.name,
+          optionId: option._id,
+          option: option.name,
+          priceDelta: option.priceDelta || 0
+        }))
+    );
   };
 
-  const updateQuantity = (productId, delta) => {
-    setCart(cart.map(item => {
-      if (item._id === productId) {
-        const newQuantity = item.quantity + delta;
-        return newQuantity > 0 ? { ...item, quantity: newQuantity } : item;
-      }
-      return item;
-    }).filter(item => item.quantity > 0));
+  const getUnitPrice = (product) =>
+    describeSelection(product).reduce((sum, m) => sum + m.priceDelta, product.price);
+
+  const fetchCart = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/cart`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      if (res.ok) setCart(await res.json());
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+    }
+  };
+
+  // Change the cart on the server; returns the error message, if any
+  const updateCart = async (method, path, body) => {
+    try {
+      const res = await fetch(`${API_URL}/api/cart${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        body: body && JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) return data.error || 'Could not update cart';
+      setCart(data);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const addToCart = async (product) => {
+    const error = await updateCart('POST', '/items', {
+      productId: product._id,
+      quantity: 1,
+      modifiers: describeSelection(product).map(({ groupId, optionId }) => ({ groupId, optionId }))
+    });
+    if (error) alert(error);
+  };
+
+  const removeFromCart = async (itemId) => {
+    const error = await updateCart('DELETE', `/items/${itemId}`);
+    if (error) alert(error);
+  };
+
+  const updateQuantity = async (item, delta) => {
+    if (item.quantity + delta < 1) return removeFromCart(item._id);
+    const error = await updateCart('PATCH', `/items/${item._id}`, { quantity: item.quantity + delta });
+    if (error) alert(error);
+  };
+
+  const applyPromoCode = async (e) => {
+    e.preventDefault();
+    setPromoError((await updateCart('PATCH', '', { promoCode: promoInput.trim() })) || '');
+  };
+
+  const removePromoCode = async () => {
+    setPromoInput('');
+    setPromoError('');
+    await updateCart('PATCH', '', { promoCode: null });
+  };
+
+  const chooseReward = async (reward) => {
+    setRewardError((await updateCart('PATCH', '', { reward: reward || null })) || '');
+  };
+
+  const chooseTip = async (tipPercent) => {
+    const error = await updateCart('PATCH', '', { tipPercent: tipPercent || null, tip: null });
+    if (error) alert(error);
+  };
+
+  // Delivery starts with the default address; dine-in with the table typed in so far
+  const chooseFulfillment = async (fulfillmentType) => {
+    const defaultAddress = (user.addresses || []).find(address => address.isDefault);
+    const error = await updateCart('PATCH', '', {
+      fulfillmentType,
+      ...(fulfillmentType === 'delivery' && !cart.addressId && defaultAddress && { addressId: defaultAddress._id }),
+      ...(fulfillmentType === 'dine-in' && { tableNumber: Number(tableDraft) || null })
+    });
+    if (error) alert(error);
+  };
+
+  const chooseAddress = async (addressId) => {
+    const error = await updateCart('PATCH', '', { addressId });
+    if (error) alert(error);
+  };
+
+  const chooseTable = async () => {
+    const error = await updateCart('PATCH', '', { tableNumber: Number(tableDraft) || null });
+    if (error) alert(error);
+  };
+
+  const fetchSlots = async (day) => {
+    setSlotDay(day);
+    setSlots([]);
+    if (!day) return;
+    try {
+      const res = await fetch(`${API_URL}/api/orders/slots?storeId=${storeId}&date=${day}`);
+      if (res.ok) setSlots((await res.json()).slots);
+    } catch (error) {
+      console.error('Error fetching pickup slots:', error);
+    }
+  };
+
+  // Picking a day shows its slots; going back to as soon as possible clears the pickup time
+  const choosePickupDay = async (day) => {
+    await fetchSlots(day);
+    if (!day && cart.pickupAt) {
+      const error = await updateCart('PATCH', '', { pickupAt: null });
+      if (error) alert(error);
+    }
+  };
+
+  const choosePickupTime = async (pickupAt) => {
+    const error = await updateCart('PATCH', '', { pickupAt });
+    if (error) {
+      alert(error);
+      fetchSlots(slotDay);
+    }
   };
 
   const placeOrder = async () => {
@@ -166,40 +737,48 @@ function App() {
       return;
     }
 
-    if (cart.length === 0) {
+    if (cart.items.length === 0) {
       alert('Cart is empty');
       return;
     }
 
-    setLoading(true);
+    const flagged = cart.items
+      .map(item => ({ name: item.name, conflicts: allergenConflicts(item.allergens) }))
+      .filter(item => item.conflicts.length > 0);
+    if (flagged.length > 0) {
+      const lines = flagged.map(item => `${item.name}: ${allergenNames(item.conflicts)}`).join('\n');
+      if (!window.confirm(`These items contain or may contain your allergens:\n${lines}\n\nPlace the order anyway?`)) {
+        return;
+      }
+    }
 
-    const items = cart.map(item => ({
-      productId: item._id,
-      quantity: item.quantity
-    }));
+    setLoading(true);
 
     try {
-      const res = await fetch(`${API_URL}/api/orders`, {
+      const res = await fetch(`${API_URL}/api/cart/checkout`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${localStorage.getItem('token')}`
+          Authorization: `Bearer ${localStorage.getItem('token')}`,
+          'Idempotency-Key': checkoutKey.current
         },
-        body: JSON.stringify({
-          userId: user._id,
-          items,
-          deliveryAddress: '123 Coffee St'
-        })
+        body: JSON.stringify({})
       });
 
       if (res.ok) {
         alert('Order placed successfully!');
-        setCart([]);
+        setCart(EMPTY_CART);
+        setPromoInput('');
+        setPromoError('');
+        setRewardError('');
         fetchOrders();
+        fetchLoyalty();
         setView('orders');
       } else {
         const data = await res.json();
         alert(data.error || 'Order failed');
+        // Prices or availability may have changed; show the cart as it is now
+        fetchCart();
       }
     } catch (error) {
       alert('Error placing order: ' + error.message);
@@ -220,11 +799,178 @@ function App() {
     }
   };
 
-  const getTotalPrice = () => {
-    return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0).toFixed(2);
+  const fetchPreferences = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/users/profile/preferences`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await res.json();
+      setPreferences(data);
+    } catch (error) {
+      console.error('Error fetching preferences:', error);
+    }
+  };
+
+  const savePreferences = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/api/users/profile/preferences`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(preferences)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setPreferences(data);
+        alert('Settings saved');
+      } else {
+        alert(data.error || 'Could not save settings');
+      }
+    } catch (error) {
+      alert('Error saving settings: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Address book: every change answers with the saved addresses or the one changed
+  const addressRequest = async (method, path, body) => {
+    const res = await fetch(`${API_URL}/api/users/profile/addresses${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      },
+      body: body && JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Could not update addresses');
+    return data;
+  };
+
+  const fetchAddresses = async () => {
+    try {
+      setUser({ ...user, addresses: await addressRequest('GET', '') });
+    } catch (error) {
+      console.error('Error fetching addresses:', error);
+    }
+  };
+
+  const saveAddress = async (e) => {
+    e.preventDefault();
+    try {
+      await addressRequest('POST', '', addressDraft);
+      setAddressDraft(EMPTY_ADDRESS);
+      fetchAddresses();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const makeDefaultAddress = async (addressId) => {
+    try {
+      await addressRequest('PUT', `/${addressId}`, { isDefault: true });
+      fetchAddresses();
+    } catch (error) {
+      alert(error.message);
+    }
   };
 
-  const unreadCount = notifications.filter(n => !n.read).length;
+  const deleteAddress = async (addressId) => {
+    try {
+      setUser({ ...user, addresses: await addressRequest('DELETE', `/${addressId}`) });
+      fetchCart();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const saveAllergens = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/api/users/profile/allergens`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ allergens: allergenDraft })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setUser({ ...user, allergens: data });
+        alert('Allergens saved');
+      } else {
+        alert(data.error || 'Could not save allergens');
+      }
+    } catch (error) {
+      alert('Error saving allergens: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleChannel = (type, channel) => {
+    const current = preferences.channels[type] || [];
+    const channels = current.includes(channel)
+      ? current.filter(c => c !== channel)
+      : [...current, channel];
+    setPreferences({ ...preferences, channels: { ...preferences.channels, [type]: channels } });
+  };
+
+  const updateQuietHours = (changes) => {
+    setPreferences({ ...preferences, quietHours: { ...preferences.quietHours, ...changes } });
+  };
+
+  const fetchQueue = async () => {
+    try {
+      // Baristas get their own store's queue; admins the store they have chosen
+      const query = user.role === 'admin' && storeId ? `?storeId=${storeId}` : '';
+      const res = await fetch(`${API_URL}/api/orders/queue${query}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      if (res.ok) {
+        setQueue(await res.json());
+        setNow(Date.now());
+      }
+    } catch (error) {
+      console.error('Error fetching queue:', error);
+    }
+  };
+
+  const advanceOrder = async (order, status) => {
+    try {
+      const res = await fetch(`${API_URL}/api/orders/${order._id}/status`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ status })
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.error || 'Could not update order');
+      }
+      fetchQueue();
+    } catch (error) {
+      alert('Error updating order: ' + error.message);
+    }
+  };
+
+  const waitingMinutes = (order) =>
+    Math.max(0, Math.floor((now - new Date(order.releasedAt || order.confirmedAt || order.createdAt)) / 60000));
+
+  const waitingClass = (minutes) => {
+    if (minutes >= KITCHEN_LATE_MINUTES) return 'late';
+    if (minutes >= KITCHEN_WARN_MINUTES) return 'waiting';
+    return '';
+  };
+
+
 
   return (
     <div className="App">
@@ -283,15 +1029,21 @@ function App() {
             </button>
             <button
               className={view === 'cart' ? 'active' : ''}
-              onClick={() => setView('cart')}
+              onClick={() => { setView('cart'); fetchCart(); }}
             >
-              Cart ({cart.length})
+              Cart ({cart.items.length})
             </button>
             <button
               className={view === 'orders' ? 'active' : ''}
               onClick={() => setView('orders')}
             >
-              Orders ({orders.length})
+              Orders
+            </button>
+            <button
+              className={view === 'loyalty' ? 'active' : ''}
+              onClick={() => { setView('loyalty'); fetchLoyalty(); }}
+            >
+              Rewards {loyalty && `(${loyalty.points} pts)`}
             </button>
             <button
               className={view === 'notifications' ? 'active' : ''}
@@ -299,20 +1051,238 @@ function App() {
             >
               Notifications {unreadCount > 0 && `(${unreadCount})`}
             </button>
+            {isStaff && (
+              <button
+                className={view === 'kitchen' ? 'active' : ''}
+                onClick={() => setView('kitchen')}
+              >
+                Kitchen ({queue.length})
+              </button>
+            )}
+            <button
+              className={view === 'settings' ? 'active' : ''}
+              onClick={() => { setView('settings'); fetchPreferences(); setAllergenDraft(user.allergens || []); }}
+            >
+              Settings
+            </button>
+            {user.role === 'admin' && (
+              <button
+                className={view === 'admin' ? 'active' : ''}
+                onClick={() => setView('admin')}
+              >
+                Admin
+              </button>
+            )}
           </div>
 
-          {view === 'products' && (
+          {view === 'products' && !store && (
+            <div className="store-picker">
+              <h2>Choose a store</h2>
+              {stores.length === 0 ? (
+                <p>No stores are open for orders right now.</p>
+              ) : (
+                <div className="store-list">
+                  {stores.map(s => (
+                    <button key={s._id} className="store" onClick={() => chooseStore(s._id)}>
+                      <strong>{s.name}</strong>
+                      {s.address && s.address.line1 && <span>{s.address.line1}, {s.address.city}</span>}
+                      <span className="store-hours">{s.openingHours}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'products' && store && (
             <div className="products">
               <h2>Our Menu</h2>
+              <div className="store-current">
+                Ordering from <strong>{store.name}</strong>
+                <button onClick={() => chooseStore('')}>Change</button>
+              </div>
+              <div className="menu-search">
+                <input
+                  type="search"
+                  placeholder="Search drinks, food, ingredients..."
+                  value={menuFilters.q}
+                  onChange={(e) => setMenuFilters({ ...menuFilters, q: e.target.value })}
+                />
+                <select
+                  value={menuFilters.sort}
+                  onChange={(e) => setMenuFilters({ ...menuFilters, sort: e.target.value })}
+                >
+                  {MENU_SORTS.map(({ sort, label }) => <option key={sort} value={sort}>{label}</option>)}
+                </select>
+              </div>
+              <div className="menu-filters">
+                <select
+                  value={menuFilters.category}
+                  onChange={(e) => setMenuFilters({ ...menuFilters, category: e.target.value })}
+                >
+                  <option value="">All categories</option>
+                  {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                </select>
+                {DIETARY_TAGS.map(({ tag, label }) => (
+                  <label key={tag}>
+                    <input
+                      type="checkbox"
+                      checked={menuFilters.tags.includes(tag)}
+                      onChange={() => toggleMenuTag('tags', tag)}
+                    />
+                    {label}
+                  </label>
+                ))}
+                {ALLERGEN_TAGS.map(({ tag, label }) => (
+                  <label key={tag}>
+                    <input
+                      type="checkbox"
+                      checked={menuFilters.excludeTags.includes(tag)}
+                      onChange={() => toggleMenuTag('excludeTags', tag)}
+                    />
+                    No {label.toLowerCase()}
+                  </label>
+                ))}
+                {user && user.allergens && user.allergens.length > 0 && (
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={menuFilters.excludeAllergens.length > 0}
+                      onChange={(e) => setMenuFilters({
+                        ...menuFilters,
+                        excludeAllergens: e.target.checked ? user.allergens : []
+                      })}
+                    />
+                    Hide my allergens
+                  </label>
+                )}
+                <span className="menu-range">
+                  Price $
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    placeholder="min"
+                    value={menuFilters.minPrice}
+                    onChange={(e) => setMenuFilters({ ...menuFilters, minPrice: e.target.value })}
+                  />
+                  -
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    placeholder="max"
+                    value={menuFilters.maxPrice}
+                    onChange={(e) => setMenuFilters({ ...menuFilters, maxPrice: e.target.value })}
+                  />
+                </span>
+                <span className="menu-range">
+                  Calories
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    placeholder="min"
+                    value={menuFilters.minCalories}
+                    onChange={(e) => setMenuFilters({ ...menuFilters, minCalories: e.target.value })}
+                  />
+                  -
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    placeholder="max"
+                    value={menuFilters.maxCalories}
+                    onChange={(e) => setMenuFilters({ ...menuFilters, maxCalories: e.target.value })}
+                  />
+                </span>
+                <button onClick={() => setMenuFilters(EMPTY_MENU_FILTERS)}>Clear</button>
+              </div>
+              {products.length === 0 && <p>Nothing on the menu matches your search</p>}
               <div className="product-list">
                 {products.map(product => (
                   <div key={product._id} className="product">
+                    {product.image && (
+                      <img
+                        className="product-image"
+                        src={product.image.startsWith('/') ? `${API_URL}${product.image}` : product.image}
+                        alt={product.name}
+                      />
+                    )}
                     <h3>{product.name}</h3>
                     <p>{product.description}</p>
                     <p>{product.category}</p>
-                    <p>${product.price.toFixed(2)}</p>
-                    <button onClick={() => addToCart(product)}>
-                      Add to Cart
+                    {product.calories != null && <p className="product-calories">{product.calories} kcal</p>}
+                    {product.tags && product.tags.length > 0 && (
+                      <div className="product-tags">
+                        {product.tags.map(tag => <span key={tag} className="product-tag">{tag}</span>)}
+                      </div>
+                    )}
+                    {product.allergens && (
+                      <div className="product-allergens">
+                        {product.allergens.contains.length > 0 && (
+                          <p>Contains: {allergenNames(product.allergens.contains)}</p>
+                        )}
+                        {product.allergens.mayContain.length > 0 && (
+                          <p>May contain: {allergenNames(product.allergens.mayContain)}</p>
+                        )}
+                      </div>
+                    )}
+                    {allergenConflicts(product.allergens).length > 0 && (
+                      <p className="allergen-warning">
+                        Your allergens: {allergenNames(allergenConflicts(product.allergens))}
+                      </p>
+                    )}
+                    {product.nutrition && product.nutrition.length > 0 && (
+                      <details className="nutrition">
+                        <summary>Nutrition</summary>
+                        <table>
+                          <thead>
+                            <tr>
+                              <th></th>
+                              {product.nutrition.map(n => (
+                                <th key={n.size}>{n.size}{n.servingSize && <small> {n.servingSize}</small>}</th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {NUTRITION_FACTS.filter(({ key }) => product.nutrition.some(n => n[key] != null)).map(fact => (
+                              <tr key={fact.key}>
+                                <td>{fact.label}</td>
+                                {product.nutrition.map(n => (
+                                  <td key={n.size}>{n[fact.key] != null ? `${n[fact.key]}${fact.unit}` : '-'}</td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </details>
+                    )}
+                    {(product.modifierGroups || []).map(group => (
+                      <div key={group._id} className="modifier-group">
+                        <span className="modifier-group-name">
+                          {group.name}{group.required ? ' *' : ''}
+                        </span>
+                        {group.options.map(option => (
+                          <label key={option._id}>
+                            <input
+                              type={group.required && (group.maxSelections || 1) === 1 ? 'radio' : 'checkbox'}
+                              checked={(getSelection(product)[group._id] || []).includes(option._id)}
+                              disabled={option.available === false}
+                              onChange={() => toggleOption(product, group, option._id)}
+                            />
+                            {option.name}
+                            {option.priceDelta > 0 && ` (+${formatCents(option.priceDelta)})`}
+                          </label>
+                        ))}
+                      </div>
+                    ))}
+                    <p>{formatCents(getUnitPrice(product))}</p>
+                    {product.stock != null && product.stock > 0 && product.stock <= product.lowStockThreshold && (
+                      <p className="low-stock">Only {product.stock} left</p>
+                    )}
+                    <button onClick={() => addToCart(product)} disabled={!product.available}>
+                      {product.available ? 'Add to Cart' : 'Sold Out'}
                     </button>
                   </div>
                 ))}
@@ -323,27 +1293,155 @@ function App() {
           {view === 'cart' && (
             <div className="cart">
               <h2>Shopping Cart</h2>
-              {cart.length === 0 ? (
+              {cart.items.length === 0 ? (
                 <p>Your cart is empty</p>
               ) : (
                 <>
                   <div className="cart-list">
-                    {cart.map(item => (
-                      <div key={item._id} className="cart-item">
-                        <span>{item.name}</span>
-                        <span>${item.price.toFixed(2)} each</span>
-                        <button onClick={() => updateQuantity(item._id, -1)}>-</button>
+                    {cart.items.map(item => (
+                      <div key={item._id} className={`cart-item ${item.available ? '' : 'unavailable'}`}>
+                        <span>
+                          {item.name}
+                          {item.modifiers && item.modifiers.length > 0 && (
+                            <small className="item-modifiers">
+                              {item.modifiers.map(m => m.option).join(', ')}
+                            </small>
+                          )}
+                          {allergenConflicts(item.allergens).length > 0 && (
+                            <small className="allergen-warning">
+                              Your allergens: {allergenNames(allergenConflicts(item.allergens))}
+                            </small>
+                          )}
+                          {item.warning && <small className="cart-warning">{item.warning}</small>}
+                        </span>
+                        <span>{item.price != null && `${formatCents(item.price)} each`}</span>
+                        <button onClick={() => updateQuantity(item, -1)} disabled={!item.available}>-</button>
                         <span>{item.quantity}</span>
-                        <button onClick={() => updateQuantity(item._id, 1)}>+</button>
+                        <button onClick={() => updateQuantity(item, 1)} disabled={!item.available}>+</button>
                         <button onClick={() => removeFromCart(item._id)}>Remove</button>
-                        <span>${(item.price * item.quantity).toFixed(2)}</span>
+                        <span>{item.available && formatCents(item.lineTotal)}</span>
                       </div>
                     ))}
                   </div>
-                  <div className="cart-total">
-                    Total: ${getTotalPrice()}
+                  <form className="promo-code" onSubmit={applyPromoCode}>
+                    <input
+                      placeholder="Promo code"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value)}
+                    />
+                    <button type="submit" disabled={!promoInput.trim()}>Apply</button>
+                    {cart.promoCode && (
+                      <button type="button" onClick={removePromoCode}>Remove {cart.promoCode}</button>
+                    )}
+                  </form>
+                  {(promoError || cart.promoError) && <p className="promo-error">{promoError || cart.promoError}</p>}
+                  {loyalty && (cart.reward || loyalty.rewards.some(r => r.available)) && (
+                    <div className="reward-select">
+                      <label>
+                        Use my points{' '}
+                        <select
+                          value={cart.reward || ''}
+                          onChange={(e) => chooseReward(e.target.value)}
+                        >
+                          <option value="">No reward</option>
+                          {loyalty.rewards.filter(r => r.available || r.id === cart.reward).map(r => (
+                            <option key={r.id} value={r.id}>{r.name} ({r.points} points)</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                  )}
+                  {(rewardError || cart.rewardError) && (
+                    <p className="promo-error">{rewardError || cart.rewardError}</p>
+                  )}
+                  <div className="fulfillment">
+                    {FULFILLMENT_TYPES.map(({ type, label }) => (
+                      <label key={type}>
+                        <input
+                          type="radio"
+                          name="fulfillment"
+                          checked={(cart.fulfillmentType || 'pickup') === type}
+                          onChange={() => chooseFulfillment(type)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                    {cart.fulfillmentType === 'delivery' && (
+                      (user.addresses || []).length === 0 ? (
+                        <p>Add a delivery address under Settings first.</p>
+                      ) : (
+                        <select value={cart.addressId || ''} onChange={(e) => chooseAddress(e.target.value)}>
+                          <option value="" disabled>Choose an address</option>
+                          {user.addresses.map(address => (
+                            <option key={address._id} value={address._id}>
+                              {address.label ? `${address.label}: ` : ''}{address.line1}, {address.postcode}
+                            </option>
+                          ))}
+                        </select>
+                      )
+                    )}
+                    {cart.fulfillmentType === 'dine-in' && (
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder="Table number"
+                        value={tableDraft || cart.tableNumber || ''}
+                        onChange={(e) => setTableDraft(e.target.value)}
+                        onBlur={chooseTable}
+                      />
+                    )}
+                    {(cart.fulfillmentType || 'pickup') === 'pickup' && (
+                      <div className="pickup-time">
+                        <select value={slotDay} onChange={(e) => choosePickupDay(e.target.value)}>
+                          <option value="">As soon as possible</option>
+                          {orderAheadDays().map(day => (
+                            <option key={day} value={day}>
+                              {new Date(`${day}T12:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                            </option>
+                          ))}
+                        </select>
+                        {slotDay && (
+                          slots.length === 0 ? (
+                            <p>No pickup times left that day.</p>
+                          ) : (
+                            <select value={cart.pickupAt || ''} onChange={(e) => choosePickupTime(e.target.value)}>
+                              <option value="" disabled>Choose a time</option>
+                              {slots.map(slot => (
+                                <option key={slot.start} value={slot.start} disabled={slot.remaining === 0}>
+                                  {new Date(slot.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                  {slot.remaining === 0 && ' (full)'}
+                                </option>
+                              ))}
+                            </select>
+                          )
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  {cart.scheduleError && <p className="promo-error">{cart.scheduleError}</p>}
+                  {cart.storeError && <p className="promo-error">{cart.storeError}</p>}
+                  {cart.fulfillmentError && <p className="promo-error">{cart.fulfillmentError}</p>}
+                  <div className="tip">
+                    Tip
+                    {TIP_PERCENTS.map(percent => (
+                      <button
+                        key={percent}
+                        type="button"
+                        className={cart.tipPercent === percent || (!percent && !cart.tip) ? 'active' : ''}
+                        onClick={() => chooseTip(percent)}
+                      >
+                        {percent ? `${percent}%` : 'No tip'}
+                      </button>
+                    ))}
                   </div>
-                  <button onClick={placeOrder} disabled={loading}>
+                  <Breakdown totals={cart} />
+                  <button
+                    onClick={placeOrder}
+                    disabled={
+                      loading || Boolean(cart.storeError || cart.fulfillmentError || cart.scheduleError)
+                      || cart.items.some(item => !item.available)
+                    }
+                  >
                     {loading ? 'Placing Order...' : 'Place Order'}
                   </button>
                 </>
@@ -362,18 +1460,73 @@ function App() {
                     <div key={order._id} className="order">
                       <h3>Order #{order._id.slice(-6)}</h3>
                       <p>Status: {order.status}</p>
+                      {order.storeId && storeName(order.storeId) && <p>{storeName(order.storeId)}</p>}
                       <div className="order-items">
                         {order.items.map((item, i) => (
                           <div key={i}>
-                            {item.name} x {item.quantity} - ${(item.price * item.quantity).toFixed(2)}
+                            {item.name}
+                            {item.modifiers && item.modifiers.length > 0 && ` (${item.modifiers.map(m => m.option).join(', ')})`}
+                            {' '}x {item.quantity} - {formatCents(item.price * item.quantity)}
+                            {item.refundedQuantity > 0 && ` (${item.refundedQuantity} refunded)`}
                           </div>
                         ))}
                       </div>
-                      <p>Total: ${order.totalAmount.toFixed(2)}</p>
+                      <Breakdown totals={order} />
+                      <p>{fulfillmentLabel(order)}</p>
                       <p>Payment: {order.paymentStatus}</p>
+                      {order.refundedAmount > 0 && (
+                        <p>Refunded: {formatCents(order.refundedAmount)}</p>
+                      )}
                       <p>{new Date(order.createdAt).toLocaleString()}</p>
                     </div>
                   ))}
+                  {ordersCursor && <LoadMore onVisible={loadMoreOrders} />}
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'loyalty' && loyalty && (
+            <div className="loyalty">
+              <h2>Rewards</h2>
+              <div className="loyalty-summary">
+                <p className="loyalty-points">{loyalty.points} points</p>
+                <p>{loyalty.tier.name} member: {loyalty.pointsPerDollar * loyalty.tier.multiplier} points per $1</p>
+                {loyalty.nextTier ? (
+                  <>
+                    <progress value={loyalty.lifetimePoints} max={loyalty.nextTier.points} />
+                    <p>{loyalty.nextTier.pointsNeeded} more points to {loyalty.nextTier.name}</p>
+                  </>
+                ) : (
+                  <p>You have reached our top tier</p>
+                )}
+              </div>
+              <h3>Rewards</h3>
+              <div className="loyalty-rewards">
+                {loyalty.rewards.map(r => (
+                  <div key={r.id} className={`loyalty-reward ${r.available ? 'available' : ''}`}>
+                    <strong>{r.name}</strong>
+                    <span>{r.points} points</span>
+                    <span>{r.available ? 'Choose it at checkout' : `${r.points - loyalty.points} points to go`}</span>
+                  </div>
+                ))}
+              </div>
+              <h3>History</h3>
+              {loyaltyHistory.length === 0 ? (
+                <p>No points yet. Every order earns points once it is paid.</p>
+              ) : (
+                <div className="loyalty-history">
+                  {loyaltyHistory.map(entry => (
+                    <div key={entry._id} className="loyalty-entry">
+                      <span>{LOYALTY_ENTRY_LABELS[entry.type]}</span>
+                      <span>{entry.description}</span>
+                      <span className={entry.points < 0 ? 'negative' : ''}>
+                        {entry.points > 0 ? '+' : ''}{entry.points}
+                      </span>
+                      <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                  ))}
+                  {loyaltyCursor && <LoadMore onVisible={loadMoreLoyaltyHistory} />}
                 </div>
               )}
             </div>
@@ -393,13 +1546,195 @@ function App() {
                       onClick={() => !notif.read && markNotificationRead(notif._id)}
                     >
                       <p>{notif.message}</p>
+                      {notif.receipt && <pre className="receipt">{notif.receipt}</pre>}
                       <span>{new Date(notif.createdAt).toLocaleString()}</span>
                     </div>
                   ))}
+                  {notificationsCursor && <LoadMore onVisible={loadMoreNotifications} />}
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'kitchen' && isStaff && (
+            <div className="kitchen">
+              <h2>Kitchen Queue</h2>
+              {queue.length === 0 ? (
+                <p>No orders waiting</p>
+              ) : (
+                <div className="kitchen-queue">
+                  {queue.map(order => {
+                    const minutes = waitingMinutes(order);
+                    const next = KITCHEN_NEXT[order.status];
+                    return (
+                      <div key={order._id} className={`ticket ${order.status} ${waitingClass(minutes)}`}>
+                        <div className="ticket-header">
+                          <h3>#{order._id.slice(-6)}</h3>
+                          <span className="ticket-time">{minutes} min</span>
+                        </div>
+                        <p className="ticket-status">{order.status}</p>
+                        <p className="ticket-fulfillment">{fulfillmentLabel(order)}</p>
+                        <ul className="ticket-items">
+                          {order.items.map((item, i) => (
+                            <li key={i}>
+                              <strong>{item.quantity} x {item.name}</strong>
+                              {item.modifiers && item.modifiers.length > 0 && (
+                                <div className="item-modifiers">
+                                  {item.modifiers.map(m => m.option).join(', ')}
+                                </div>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                        {order.specialInstructions && (
+                          <p className="ticket-instructions">{order.specialInstructions}</p>
+                        )}
+                        {next && (
+                          <button onClick={() => advanceOrder(order, next.status)}>{next.label}</button>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               )}
             </div>
           )}
+
+          {view === 'settings' && preferences && (
+            <div className="settings">
+              <h2>Notification Settings</h2>
+              <table className="channel-preferences">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {CHANNELS.map(({ channel, label }) => <th key={channel}>{label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {NOTIFICATION_TYPES.map(({ type, label }) => (
+                    <tr key={type}>
+                      <td>{label}</td>
+                      {CHANNELS.map(({ channel }) => (
+                        <td key={channel}>
+                          <input
+                            type="checkbox"
+                            checked={(preferences.channels[type] || []).includes(channel)}
+                            disabled={type === 'promotional' && !preferences.promotional}
+                            onChange={() => toggleChannel(type, channel)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <label>
+                <input
+                  type="checkbox"
+                  checked={preferences.promotional}
+                  onChange={(e) => setPreferences({ ...preferences, promotional: e.target.checked })}
+                />
+                Send me offers and news
+              </label>
+
+              <h3>Quiet Hours</h3>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={preferences.quietHours.enabled}
+                  onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+                />
+                No SMS or push notifications from
+              </label>
+              <input
+                type="time"
+                value={preferences.quietHours.start}
+                onChange={(e) => updateQuietHours({ start: e.target.value })}
+              />
+              {' to '}
+              <input
+                type="time"
+                value={preferences.quietHours.end}
+                onChange={(e) => updateQuietHours({ end: e.target.value })}
+              />
+              <label>
+                Time zone{' '}
+                <select
+                  value={preferences.timezone}
+                  onChange={(e) => setPreferences({ ...preferences, timezone: e.target.value })}
+                >
+                  {[...new Set([preferences.timezone, ...TIME_ZONES])].map(zone => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+              </label>
+
+              <button onClick={savePreferences} disabled={loading}>
+                {loading ? 'Saving...' : 'Save Settings'}
+              </button>
+
+              <h2>My Allergens</h2>
+              <p>We flag menu items and cart items that contain or may contain these.</p>
+              <div className="allergen-preferences">
+                {ALLERGENS.map(({ allergen, label }) => (
+                  <label key={allergen}>
+                    <input
+                      type="checkbox"
+                      checked={allergenDraft.includes(allergen)}
+                      onChange={() => setAllergenDraft(allergenDraft.includes(allergen)
+                        ? allergenDraft.filter(a => a !== allergen)
+                        : [...allergenDraft, allergen])}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <button onClick={saveAllergens} disabled={loading}>
+                {loading ? 'Saving...' : 'Save Allergens'}
+              </button>
+
+              <h2>My Addresses</h2>
+              <div className="address-list">
+                {(user.addresses || []).map(address => (
+                  <div key={address._id} className={`address ${address.isDefault ? 'default' : ''}`}>
+                    <span>
+                      {address.label && <strong>{address.label} </strong>}
+                      {[address.line1, address.line2, address.city, address.postcode].filter(Boolean).join(', ')}
+                      {address.isDefault && <small> (default)</small>}
+                    </span>
+                    {!address.isDefault && (
+                      <button onClick={() => makeDefaultAddress(address._id)}>Make default</button>
+                    )}
+                    <button onClick={() => deleteAddress(address._id)}>Delete</button>
+                  </div>
+                ))}
+              </div>
+              <form className="address-form" onSubmit={saveAddress}>
+                {[
+                  ['label', 'Label (e.g. Home)'],
+                  ['line1', 'Street address'],
+                  ['line2', 'Flat, floor (optional)'],
+                  ['city', 'City'],
+                  ['postcode', 'Postcode'],
+                  ['instructions', 'Instructions for the driver']
+                ].map(([field, placeholder]) => (
+                  <input
+                    key={field}
+                    placeholder={placeholder}
+                    value={addressDraft[field]}
+                    required={['line1', 'city', 'postcode'].includes(field)}
+                    onChange={(e) => setAddressDraft({ ...addressDraft, [field]: e.target.value })}
+                  />
+                ))}
+                <button type="submit">Add Address</button>
+              </form>
+            </div>
+          )}
+
+          {view === 'admin' && user.role === 'admin' && (
+            <AdminConsole apiUrl={API_URL} currentUser={user} onProductsChanged={fetchProducts} />
+          )}
         </>
       )}
     </div>
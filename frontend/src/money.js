@@ -0,0 +1,7 @@
+// Every amount from the APIs is in cents (integer minor units). People type dollars into
+// forms and filters, so those go through toCents on the way out and toDollarInput on the way in.
+export const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+export const toCents = (dollars) => Math.round(Number(dollars) * 100);
+
+export const toDollarInput = (cents) => (cents / 100).toFixed(2);
\ No newline at end of file
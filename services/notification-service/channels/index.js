@@ -0,0 +1,48 @@
+// Delivery channels. Each one is { name, send(to, content) -> { messageId } } and is picked
+// by its *_TRANSPORT variable; console (the default) and file are stand-ins for development.
+//   EMAIL_TRANSPORT = console | file | smtp
+//   SMS_TRANSPORT   = console | file | twilio
+//   PUSH_TRANSPORT  = console | file | webpush
+const { createConsoleChannel, createFileChannel } = require('./standIns');
+const { createSmtpChannel } = require('./email');
+const { createTwilioChannel } = require('./sms');
+const { createWebPushChannel } = require('./push');
+
+const REAL_TRANSPORTS = {
+  email: { smtp: createSmtpChannel },
+  sms: { twilio: createTwilioChannel },
+  push: { webpush: createWebPushChannel }
+};
+
+const createChannel = (name, transport = 'console') => {
+  if (transport === 'console') return createConsoleChannel(name);
+  if (transport === 'file') return createFileChannel(name);
+
+  const factory = REAL_TRANSPORTS[name][transport];
+  if (!factory) {
+    throw new Error(`Unknown ${name} transport: ${transport}`);
+  }
+  return factory();
+};
+
+// Channels named in NOTIFICATION_CHANNELS (all of them by default)
+const createChannels = ({
+  enabled = (process.env.NOTIFICATION_CHANNELS || 'email,sms,push').split(',').map(c => c.trim()).filter(Boolean)
+} = {}) => {
+  const transports = {
+    email: process.env.EMAIL_TRANSPORT,
+    sms: process.env.SMS_TRANSPORT,
+    push: process.env.PUSH_TRANSPORT
+  };
+
+  const channels = {};
+  for (const name of enabled) {
+    if (!REAL_TRANSPORTS[name]) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    channels[name] = createChannel(name, transports[name]);
+  }
+  return channels;
+};
+
+module.exports = { createChannels };
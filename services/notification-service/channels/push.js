@@ -0,0 +1,42 @@
+// Web push (VAPID) to every browser subscription the user registered
+const webpush = require('web-push');
+
+const createWebPushChannel = ({
+  publicKey = process.env.VAPID_PUBLIC_KEY,
+  privateKey = process.env.VAPID_PRIVATE_KEY,
+  subject = process.env.VAPID_SUBJECT || 'mailto:orders@coffeeshop.local'
+} = {}) => {
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'push',
+    // Resolves with the endpoints the push service says are gone, so they can be forgotten
+    send: async (subscriptions, content) => {
+      const payload = JSON.stringify(content);
+      const expired = [];
+      let delivered = 0;
+      let lastError;
+
+      for (const subscription of subscriptions) {
+        try {
+          await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            payload
+          );
+          delivered += 1;
+        } catch (error) {
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            expired.push(subscription.endpoint);
+          } else {
+            lastError = error;
+          }
+        }
+      }
+
+      if (!delivered && lastError) throw lastError;
+      return { messageId: `push-${delivered}`, expired };
+    }
+  };
+};
+
+module.exports = { createWebPushChannel };
@@ -0,0 +1,24 @@
+// SMS through a Twilio-compatible Messages API; SMS_API_BASE can point at a local stub
+const axios = require('axios');
+
+const createTwilioChannel = ({
+  apiBase = process.env.SMS_API_BASE || 'https://api.twilio.com',
+  accountSid = process.env.SMS_ACCOUNT_SID,
+  authToken = process.env.SMS_AUTH_TOKEN,
+  from = process.env.SMS_FROM
+} = {}) => ({
+  name: 'sms',
+  send: async (to, { text }) => {
+    const { data } = await axios.post(
+      `${apiBase}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+    return { messageId: data.sid };
+  }
+});
+
+module.exports = { createTwilioChannel };
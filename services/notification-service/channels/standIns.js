@@ -0,0 +1,34 @@
+// Local stand-ins for real channels: log to the console, or append JSON lines to
+// <NOTIFICATION_OUTBOX_DIR>/<channel>.log so tests and developers can inspect what was sent.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.NOTIFICATION_OUTBOX_DIR || path.join(os.tmpdir(), 'coffee-shop-outbox');
+
+const ICONS = { email: '📧', sms: '📱', push: '🔔' };
+
+const createConsoleChannel = (name) => ({
+  name,
+  send: async (to, content) => {
+    const recipients = [].concat(to).map(r => r.endpoint || r).join(', ');
+    console.log(`${ICONS[name] || '📬'} [${name} → ${recipients}]`, content.subject || content.title || '', content.text || content.body);
+    return { messageId: `console-${crypto.randomUUID()}` };
+  }
+});
+
+const createFileChannel = (name, dir = OUTBOX_DIR) => ({
+  name,
+  send: async (to, content) => {
+    const messageId = `file-${crypto.randomUUID()}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.appendFile(
+      path.join(dir, `${name}.log`),
+      JSON.stringify({ messageId, to, ...content, sentAt: new Date() }) + '\n'
+    );
+    return { messageId };
+  }
+});
+
+module.exports = { createConsoleChannel, createFileChannel };
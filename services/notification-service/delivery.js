@@ -0,0 +1,200 @@
+// Per-channel delivery of saved notifications, with retries and a dead letter.
+// Every notification gets one `deliveries` entry per enabled channel. A worker sends the
+// pending ones, backs off after a failure and gives up after DELIVERY_MAX_ATTEMPTS,
+// leaving the entry `dead` until an admin retries it.
+// The user's preferences are applied on each attempt: channels they turned off for the
+// type are skipped, and SMS/push wait for the end of their quiet hours.
+const mongoose = require('mongoose');
+const { render } = require('./templates');
+const { QUIET_CHANNELS, channelsFor, quietHoursRemaining } = require('../shared/notificationPreferences');
+
+const WORKER_INTERVAL_MS = 5000;
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+const backoff = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const DeliverySchema = new mongoose.Schema({
+  _id: false,
+  channel: { type: String, required: true },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sent', 'skipped', 'dead']
+  },
+  skipReason: String,
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  messageId: String,
+  nextAttemptAt: { type: Date, default: Date.now },
+  sentAt: Date,
+  failedAt: Date
+});
+
+// Browser push subscriptions (from PushManager.subscribe) per user
+const PushSubscription = mongoose.model('PushSubscription', new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  endpoint: { type: String, required: true, unique: true },
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  createdAt: { type: Date, default: Date.now }
+}));
+
+const createDelivery = ({ Notification, channels, services, userServiceUrl }) => {
+  let sending = false;
+
+  // Pending deliveries for a new notification
+  const plan = () => Object.keys(channels).map(channel => ({ channel }));
+
+  const fetchUser = async (userId) => {
+    try {
+      const { data } = await services.get(`${userServiceUrl}/api/users/${userId}`);
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404) return {};
+      throw error;
+    }
+  };
+
+  const preferencesFor = async (userId) => (await fetchUser(userId)).notificationPreferences;
+
+  const attempt = async (notification) => {
+    let user;
+    const now = new Date();
+
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'pending' || delivery.nextAttemptAt > now) continue;
+
+      try {
+        const channel = channels[delivery.channel];
+        if (!channel) {
+          throw new Error(`Channel ${delivery.channel} is not enabled`);
+        }
+
+        user = user || await fetchUser(notification.userId);
+        const preferences = user.notificationPreferences;
+
+        if (!channelsFor(preferences, notification.type).includes(delivery.channel)) {
+          delivery.status = 'skipped';
+          delivery.skipReason = 'Turned off in preferences';
+          continue;
+        }
+
+        const quietFor = QUIET_CHANNELS.includes(delivery.channel) ? quietHoursRemaining(preferences, now) : 0;
+        if (quietFor > 0) {
+          delivery.nextAttemptAt = new Date(now.getTime() + quietFor);
+          continue;
+        }
+
+        let to;
+        if (delivery.channel === 'push') {
+          const subscriptions = await PushSubscription.find({ userId: notification.userId });
+          to = subscriptions.length ? subscriptions : null;
+        } else {
+          to = delivery.channel === 'email' ? user.email : user.phone;
+        }
+
+        if (!to) {
+          delivery.status = 'skipped';
+          delivery.skipReason = delivery.channel === 'push' ? 'No push subscription' : `No ${delivery.channel} address`;
+          continue;
+        }
+
+        const result = await channel.send(to, render(delivery.channel, notification, user));
+        if (result.expired && result.expired.length) {
+          await PushSubscription.deleteMany({ endpoint: { $in: result.expired } });
+        }
+        delivery.status = 'sent';
+        delivery.messageId = result.messageId;
+        delivery.sentAt = new Date();
+      } catch (error) {
+        delivery.attempts += 1;
+        delivery.lastError = error.response?.data?.error || error.message;
+        if (delivery.attempts >= MAX_ATTEMPTS) {
+          delivery.status = 'dead';
+          delivery.failedAt = new Date();
+          console.error(`Notification ${notification._id} ${delivery.channel} delivery moved to dead letter:`, delivery.lastError);
+        } else {
+          delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts));
+        }
+      }
+    }
+
+    notification.deliveryLockedUntil = new Date(0);
+    await notification.save();
+  };
+
+  const sendPending = async () => {
+    if (sending || mongoose.connection.readyState !== 1) return;
+    sending = true;
+    try {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const now = new Date();
+        const notification = await Notification.findOneAndUpdate(
+          {
+            deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } },
+            deliveryLockedUntil: { $lte: now }
+          },
+          { deliveryLockedUntil: new Date(now.getTime() + LOCK_MS) },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!notification) break;
+        await attempt(notification);
+      }
+    } catch (error) {
+      console.error('Notification delivery error:', error.message);
+    } finally {
+      sending = false;
+    }
+  };
+
+  // Send what is pending now rather than on the next tick of the worker
+  const deliver = () => setImmediate(sendPending);
+
+  // Dead deliveries, newest notification first
+  const deadLetters = async () => {
+    const notifications = await Notification.find({ 'deliveries.status': 'dead' }).sort('-createdAt').limit(200);
+    return notifications.flatMap(notification => notification.deliveries
+      .filter(delivery => delivery.status === 'dead')
+      .map(delivery => ({
+        notificationId: notification._id,
+        userId: notification.userId,
+        type: notification.type,
+        message: notification.message,
+        orderId: notification.orderId,
+        channel: delivery.channel,
+        attempts: delivery.attempts,
+        lastError: delivery.lastError,
+        failedAt: delivery.failedAt
+      })));
+  };
+
+  // Put a dead delivery back in the queue with a fresh set of attempts
+  const retry = async (notificationId, channel) => {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, deliveries: { $elemMatch: { channel, status: 'dead' } } },
+      {
+        $set: {
+          'deliveries.$.status': 'pending',
+          'deliveries.$.attempts': 0,
+          'deliveries.$.nextAttemptAt': new Date(),
+          'deliveries.$.failedAt': null
+        }
+      },
+      { new: true }
+    );
+    if (notification) deliver();
+    return notification;
+  };
+
+  const startWorker = () => setInterval(sendPending, WORKER_INTERVAL_MS);
+
+  return { plan, deliver, preferencesFor, deadLetters, retry, startWorker };
+};
+
+module.exports = { DeliverySchema, PushSubscription, createDelivery };
@@ -1,13 +1,26 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const axios = require('axios');
 const cors = require('cors');
+const { authenticate, requireRole, requireSelfOrRole, canAccess } = require('../shared/auth');
+const { captureRawBody, serviceClient, requireService } = require('../shared/serviceAuth');
+const { createEventBus } = require('../shared/eventBus');
+const { NOTIFICATION_TYPES, channelsFor } = require('../shared/notificationPreferences');
+const { PaginationError, dateRange, paginate } = require('../shared/pagination');
+const { TIERS } = require('../shared/loyalty');
+const { createStream } = require('./stream');
+const { createChannels } = require('./channels');
+const { DeliverySchema, PushSubscription, createDelivery } = require('./delivery');
+const { formatReceipt } = require('./templates');
 
 const app = express();
-app.use(express.json());
+const services = serviceClient(axios);
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 const PORT = process.env.PORT || 3005;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/coffee-notifications';
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
 
 mongoose.connect(MONGO_URI)
   .then(() => console.log('Notification Service: Connected to MongoDB'))
@@ -18,29 +31,202 @@ const NotificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   type: { 
     type: String, 
-    enum: ['order_update', 'payment_success', 'payment_failed', 'promotional', 'system'],
+    enum: NOTIFICATION_TYPES,
     required: true 
   },
   orderId: String,
+  // Itemized receipt for order confirmations, as text
+  receipt: String,
+  // Source event, so redelivered events do not create duplicates
+  eventId: String,
   read: { type: Boolean, default: false },
+  // One entry per channel (email, sms, push); sent by the delivery worker
+  deliveries: [DeliverySchema],
+  deliveryLockedUntil: { type: Date, default: () => new Date(0) },
   createdAt: { type: Date, default: Date.now }
 });
 
+NotificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, read: 1 });
+
+NotificationSchema.index(
+  { eventId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+
 const Notification = mongoose.model('Notification', NotificationSchema);
 
+const events = createEventBus({ mongoose, service: 'notification-service' });
+
+const stream = createStream();
+
+const delivery = createDelivery({
+  Notification,
+  channels: createChannels(),
+  services,
+  userServiceUrl: USER_SERVICE_URL
+});
+
+const shortId = (orderId) => orderId.toString().slice(-6);
+
+const notificationMessage = (notification) => ({
+  id: String(notification._id),
+  event: 'notification',
+  data: notification
+});
+
+// Create the notification for an event once, however often the event is delivered
+const notifyFromEvent = async (event, fields) => {
+  try {
+    const notification = await Notification.create({
+      ...fields,
+      eventId: event.eventId,
+      deliveries: delivery.plan()
+    });
+    console.log(`📬 Notification sent to user ${notification.userId}: ${notification.message}`);
+    stream.publish(notification.userId, notificationMessage(notification));
+    delivery.deliver();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+events.subscribe('OrderStatusChanged', async (event) => {
+  const { orderId, userId, storeId, from, to, role, changedAt } = event.payload;
+  const change = { orderId, from, status: to, changedAt };
+  stream.publish(userId, { event: 'order', data: change });
+  stream.publishToStore(storeId, { event: 'queue', data: change });
+  
+  // Saga-driven changes are announced by OrderConfirmed / OrderPlacementFailed instead
+  if (role === 'system') return;
+  await notifyFromEvent(event, {
+    userId,
+    orderId,
+    type: 'order_update',
+    message: `Your order #${shortId(orderId)} is now ${to}`
+  });
+});
+
+// Scheduled orders reach the kitchen queue when their prep time comes
+events.subscribe('OrderReleased', async (event) => {
+  const { orderId, storeId, pickupAt } = event.payload;
+  stream.publishToStore(storeId, {
+    event: 'queue',
+    data: { orderId, status: 'confirmed', pickupAt, changedAt: event.occurredAt }
+  });
+});
+
+events.subscribe('OrderConfirmed', async (event) => {
+  const { orderId, userId, receipt } = event.payload;
+  await notifyFromEvent(event, {
+    userId,
+    orderId,
+    type: 'payment_success',
+    message: `Payment confirmed for order #${shortId(orderId)}`,
+    // Orders confirmed before receipts were added to the event have none
+    receipt: receipt && formatReceipt(receipt)
+  });
+});
+
+events.subscribe('OrderPlacementFailed', async (event) => {
+  const { orderId, userId, failedStep } = event.payload;
+  const paymentFailed = failedStep === 'charge';
+  await notifyFromEvent(event, {
+    userId,
+    orderId,
+    type: paymentFailed ? 'payment_failed' : 'order_update',
+    message: paymentFailed
+      ? `Payment failed for order #${shortId(orderId)}. Your order has been cancelled.`
+      : `We could not complete order #${shortId(orderId)}. It has been cancelled.`
+  });
+});
+
+events.subscribe('PaymentRefunded', async (event) => {
+  const { orderId, userId, status, refund } = event.payload;
+  const lines = (refund.items || []).map(item => `${item.quantity}x ${item.name}`).join(', ');
+  await notifyFromEvent(event, {
+    userId,
+    orderId,
+    type: 'refund',
+    message: `${status === 'refunded' ? 'Refunded' : 'Partially refunded'} $${(refund.amount / 100).toFixed(2)}`
+      + ` for order #${shortId(orderId)}${lines ? ` (${lines})` : ''}`
+  });
+});
+
+events.subscribe('LoyaltyRewardUnlocked', async (event) => {
+  const { userId, name, balance } = event.payload;
+  await notifyFromEvent(event, {
+    userId,
+    type: 'loyalty',
+    message: `You have ${balance} points: ${name} is yours to claim at checkout`
+  });
+});
+
+// Moving down a tier after a refund is not announced
+events.subscribe('LoyaltyTierChanged', async (event) => {
+  const { userId, from, to, tier } = event.payload;
+  const rank = (id) => TIERS.findIndex(t => t.id === id);
+  if (rank(to) < rank(from)) return;
+  await notifyFromEvent(event, {
+    userId,
+    type: 'loyalty',
+    message: `Welcome to ${tier}! You now earn points ${TIERS[rank(to)].multiplier}x faster`
+  });
+});
+
+// Low stock goes to every admin
+events.subscribe('StockLow', async (event) => {
+  const { name, stock } = event.payload;
+  const admins = [];
+  let cursor = null;
+  do {
+    const query = new URLSearchParams({ role: 'admin', limit: 100, ...(cursor && { cursor }) });
+    const { data } = await services.get(`${USER_SERVICE_URL}/api/users?${query}`);
+    admins.push(...data.items);
+    cursor = data.nextCursor;
+  } while (cursor);
+  
+  for (const admin of admins) {
+    await notifyFromEvent(event, {
+      userId: admin._id,
+      type: 'system',
+      message: stock === 0
+        ? `${name} is out of stock and has been marked unavailable`
+        : `${name} is running low: ${stock} left`
+    });
+  }
+});
+
+mongoose.connection.once('open', () => {
+  delivery.startWorker();
+  events.start().catch(err => console.error('Event bus start error:', err.message));
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'notification-service' });
 });
 
-// Send notification
-app.post('/api/notifications', async (req, res) => {
+// Send notification (internal service call)
+app.post('/api/notifications', requireService(), async (req, res) => {
   try {
-    const notification = new Notification(req.body);
+    const { userId, message, type, orderId } = req.body;
+    
+    // Promotional messages only go to users who opted in, not even to their inbox
+    if (type === 'promotional') {
+      const preferences = await delivery.preferencesFor(userId);
+      if (!channelsFor(preferences, type).length) {
+        return res.status(202).json({ skipped: true, reason: 'User has not opted in to promotional messages' });
+      }
+    }
+    
+    const notification = new Notification({ userId, message, type, orderId, deliveries: delivery.plan() });
     await notification.save();
     
-    // In production, this would send email/SMS/push notification
     console.log(`📬 Notification sent to user ${notification.userId}: ${notification.message}`);
+    stream.publish(notification.userId, notificationMessage(notification));
+    delivery.deliver();
     
     res.status(201).json(notification);
   } catch (error) {
@@ -49,36 +235,130 @@ app.post('/api/notifications', async (req, res) => {
   }
 });
 
-// Get user notifications
-app.get('/api/notifications/user/:userId', async (req, res) => {
+// EventSource cannot set headers, so the stream takes the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Live notifications and order status changes for the logged-in user, queue changes for staff (SSE)
+app.get('/api/notifications/stream', tokenFromQuery, authenticate, async (req, res) => {
+  const { userId } = req.user;
+  const client = stream.connect(req, res, req.user);
+  
+  // On reconnect the browser sends the last notification id it saw; replay what was missed
+  const lastEventId = req.headers['last-event-id'];
+  if (!lastEventId || !mongoose.isValidObjectId(lastEventId)) return;
+  
+  try {
+    const missed = await Notification.find({ userId, _id: { $gt: lastEventId } }).sort('_id').limit(100);
+    missed.forEach(notification => client.send(notificationMessage(notification)));
+  } catch (error) {
+    console.error('Notification replay error:', error.message);
+  }
+});
+
+// Get user notifications, newest first, with the total unread count for the badge
+// Query: unreadOnly, type (comma separated), from, to, sort, limit, cursor
+app.get('/api/notifications/user/:userId', authenticate, requireSelfOrRole('userId', 'admin'), async (req, res) => {
   try {
-    const { unreadOnly } = req.query;
+    const { unreadOnly, type, from, to } = req.query;
     const filter = { userId: req.params.userId };
     
     if (unreadOnly === 'true') {
       filter.read = false;
     }
+    if (type) filter.type = { $in: type.split(',') };
+    const createdAt = dateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
     
-    const notifications = await Notification.find(filter).sort('-createdAt');
-    res.json(notifications);
+    const [page, unreadCount] = await Promise.all([
+      paginate(Notification, filter, req.query),
+      Notification.countDocuments({ userId: req.params.userId, read: false })
+    ]);
+    res.json({ ...page, unreadCount });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Mark notification as read
-app.patch('/api/notifications/:id/read', async (req, res) => {
+// VAPID public key the browser needs for PushManager.subscribe
+app.get('/api/notifications/push/key', (req, res) => {
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY || null });
+});
+
+// Register this browser for web push
+app.post('/api/notifications/push/subscriptions', authenticate, async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      { read: true },
-      { new: true }
+    const { endpoint, keys } = req.body;
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+      return res.status(400).json({ error: 'endpoint and keys (p256dh, auth) are required' });
+    }
+    
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { userId: req.user.userId, endpoint, keys },
+      { new: true, upsert: true, runValidators: true }
     );
+    res.status(201).json(subscription);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Unregister a browser from web push
+app.delete('/api/notifications/push/subscriptions', authenticate, async (req, res) => {
+  try {
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, userId: req.user.userId });
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deliveries that ran out of attempts (admin)
+app.get('/api/notifications/deliveries/dead', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await delivery.deadLetters());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry a dead delivery (admin)
+app.post('/api/notifications/:id/deliveries/:channel/retry', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const notification = await delivery.retry(req.params.id, req.params.channel);
+    if (!notification) {
+      return res.status(404).json({ error: 'No dead delivery for that notification and channel' });
+    }
+    res.json(notification);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Mark notification as read
+app.patch('/api/notifications/:id/read', authenticate, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
     
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
     
+    if (!canAccess(req.user, notification.userId, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    
+    notification.read = true;
+    await notification.save();
+    
     res.json(notification);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -86,7 +366,7 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
 });
 
 // Mark all as read for a user
-app.post('/api/notifications/user/:userId/read-all', async (req, res) => {
+app.post('/api/notifications/user/:userId/read-all', authenticate, requireSelfOrRole('userId', 'admin'), async (req, res) => {
   try {
     await Notification.updateMany(
       { userId: req.params.userId, read: false },
@@ -99,12 +379,16 @@ app.post('/api/notifications/user/:userId/read-all', async (req, res) => {
 });
 
 // Delete notification
-app.delete('/api/notifications/:id', async (req, res) => {
+app.delete('/api/notifications/:id', authenticate, async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(req.params.id);
+    const notification = await Notification.findById(req.params.id);
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
+    if (!canAccess(req.user, notification.userId, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    await notification.deleteOne();
     res.json({ message: 'Notification deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
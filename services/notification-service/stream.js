@@ -0,0 +1,67 @@
+// Server-Sent Events to logged-in users: new notifications and order status changes,
+// plus kitchen queue changes for staff at the order's store (admins get every store's).
+// Connections live in this process, so a second notification-service instance needs
+// sticky sessions (or a shared fan-out) in front of it.
+const { STAFF_ROLES } = require('../shared/auth');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const createStream = () => {
+  const clients = new Map(); // userId -> Set of open responses
+  const staff = new Map(); // open response of a staff user -> { role, storeId }
+
+  // message: { id, event, data }; id is what the browser sends back as Last-Event-ID
+  const write = (res, { id, event, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const connect = (req, res, { userId, role, storeId }) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Tell nginx not to buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const connections = clients.get(userId) || new Set();
+    connections.add(res);
+    clients.set(userId, connections);
+    if (STAFF_ROLES.includes(role)) staff.set(res, { role, storeId });
+
+    // Comment lines keep proxies from timing out an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      connections.delete(res);
+      staff.delete(res);
+      if (!connections.size) clients.delete(userId);
+    });
+
+    return { send: (message) => write(res, message) };
+  };
+
+  const publish = (userId, message) => {
+    for (const res of clients.get(String(userId)) || []) {
+      write(res, message);
+    }
+  };
+
+  // Staff watching the queue of `storeId`: admins, and staff assigned to that store (to any
+  // store for orders from before there were stores)
+  const publishToStore = (storeId, message) => {
+    for (const [res, viewer] of staff) {
+      if (viewer.role === 'admin' || (viewer.storeId && (!storeId || viewer.storeId === String(storeId)))) {
+        write(res, message);
+      }
+    }
+  };
+
+  return { connect, publish, publishToStore };
+};
+
+module.exports = { createStream };
@@ -0,0 +1,99 @@
+// Message templates keyed by notification type, rendered per channel.
+// Every type has an email subject and a push title; the body is the notification message.
+// Emails for notifications with a receipt (order confirmations) carry it below the message.
+const TEMPLATES = {
+  order_update: {
+    subject: ({ orderRef }) => `Update on your order ${orderRef}`,
+    title: 'Order update'
+  },
+  payment_success: {
+    subject: ({ orderRef }) => `Payment received for order ${orderRef}`,
+    title: 'Payment received'
+  },
+  payment_failed: {
+    subject: ({ orderRef }) => `Payment failed for order ${orderRef}`,
+    title: 'Payment failed'
+  },
+  refund: {
+    subject: ({ orderRef }) => `Refund for order ${orderRef}`,
+    title: 'Refund issued'
+  },
+  loyalty: {
+    subject: () => 'News about your Coffee Shop rewards',
+    title: 'Rewards'
+  },
+  promotional: {
+    subject: () => 'Something new at the Coffee Shop',
+    title: 'Coffee Shop'
+  },
+  system: {
+    subject: () => 'Coffee Shop alert',
+    title: 'Alert'
+  }
+};
+
+const RECEIPT_WIDTH = 40;
+
+// `minor` units of `currency` as e.g. $4.50
+const formatAmount = (minor, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(minor / 100);
+
+// The itemized receipt from an OrderConfirmed event, as plain text lines with the amounts
+// right-aligned
+const formatReceipt = (receipt) => {
+  const money = (minor) => formatAmount(minor, receipt.currency || 'USD');
+  const row = (label, amount) => {
+    const width = Math.max(RECEIPT_WIDTH - amount.length - 1, 1);
+    return `${label.length > width ? `${label.slice(0, width - 1)}…` : label.padEnd(width)} ${amount}`;
+  };
+
+  const rows = receipt.items.map(item => row(
+    `${item.quantity} x ${item.name}${item.options.length ? ` (${item.options.join(', ')})` : ''}`,
+    money(item.amount)
+  ));
+  rows.push('-'.repeat(RECEIPT_WIDTH), row('Subtotal', money(receipt.subtotal)));
+  for (const discount of receipt.discounts) {
+    rows.push(row(`${discount.name}${discount.code ? ` (${discount.code})` : ''}`, `-${money(discount.amount)}`));
+  }
+  for (const tax of receipt.taxes) {
+    rows.push(row(`${tax.name} ${tax.rate}%`, money(tax.amount)));
+  }
+  if (receipt.deliveryFee) rows.push(row('Delivery', money(receipt.deliveryFee)));
+  if (receipt.tip) rows.push(row('Tip', money(receipt.tip)));
+  rows.push(row('Total', money(receipt.totalAmount)));
+  return rows.join('\n');
+};
+
+const render = (channel, notification, user = {}) => {
+  const template = TEMPLATES[notification.type] || TEMPLATES.system;
+  const vars = {
+    name: user.name || 'there',
+    message: notification.message,
+    orderRef: notification.orderId ? `#${notification.orderId.toString().slice(-6)}` : '',
+    receipt: notification.receipt ? `${notification.receipt}\n\n` : ''
+  };
+
+  switch (channel) {
+    case 'email':
+      return {
+        subject: template.subject(vars),
+        text: `Hi ${vars.name},\n\n${vars.message}\n\n${vars.receipt}The Coffee Shop`
+      };
+    case 'sms':
+      return { text: `Coffee Shop: ${vars.message}` };
+    case 'push':
+      return {
+        title: template.title,
+        body: vars.message,
+        data: {
+          notificationId: String(notification._id),
+          orderId: notification.orderId,
+          type: notification.type
+        }
+      };
+    default:
+      throw new Error(`No template for channel ${channel}`);
+  }
+};
+
+module.exports = { TEMPLATES, formatReceipt, render };
@@ -0,0 +1,52 @@
+// Server-side carts, one per customer, so a cart survives a refresh and follows them
+// between devices. Lines keep the modifier selections and the unit price the customer last
+// saw; reading the cart prices every line against the menu again and warns about changes.
+const mongoose = require('mongoose');
+const { FULFILLMENT_TYPES } = require('./fulfillment');
+const { MINOR_UNITS } = require('../shared/minorUnits');
+
+const MAX_LINES = 50;
+
+const CartSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  // The store the customer is ordering from; lines are priced as it sells them
+  storeId: String,
+  items: [{
+    productId: { type: String, required: true },
+    name: String,
+    quantity: { type: Number, required: true, min: 1 },
+    modifiers: [{
+      _id: false,
+      groupId: String,
+      optionId: String
+    }],
+    // Unit price in minor units when the line was last added or changed
+    price: Number,
+    addedAt: { type: Date, default: Date.now }
+  }],
+  promoCode: String,
+  reward: String,
+  // How the order will be fulfilled, checked when the cart is read and at checkout
+  fulfillmentType: { type: String, enum: FULFILLMENT_TYPES, default: 'pickup' },
+  addressId: String,
+  tableNumber: Number,
+  // Requested pickup slot; unset means as soon as possible
+  pickupAt: Date,
+  minorUnits: MINOR_UNITS,
+  // Tip as an amount in minor units or a percentage of the discounted subtotal, not both
+  tip: { type: Number, min: 0 },
+  tipPercent: { type: Number, min: 0, max: 100 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+CartSchema.path('items').validate(items => items.length <= MAX_LINES, `A cart can hold at most ${MAX_LINES} lines`);
+
+const Cart = mongoose.model('Cart', CartSchema);
+
+// Lines for the same product with the same options are merged
+const sameLine = (line, productId, modifiers) => {
+  const options = (list) => list.map(m => String(m.optionId)).sort().join(',');
+  return line.productId === String(productId) && options(line.modifiers) === options(modifiers);
+};
+
+module.exports = { Cart, MAX_LINES, sameLine };
\ No newline at end of file
@@ -0,0 +1,5 @@
+const mongoose = require('mongoose');
+const { createEventBus } = require('../shared/eventBus');
+
+// Outbox and event bus for order-service, shared by routes, state machine and saga
+module.exports = createEventBus({ mongoose, service: 'order-service' });
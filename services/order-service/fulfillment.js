@@ -0,0 +1,103 @@
+// How an order reaches the customer: picked up at the counter, delivered to an address in
+// the service area for a fee, or served at a table.
+// The service area is a list of postcode prefixes (DELIVERY_POSTCODES) and/or a radius
+// (DELIVERY_RADIUS_KM) around the store's location, or STORE_LOCATION "lat,lng" for stores
+// without one, for saved addresses with coordinates (those on the user's address record in
+// user-service; coordinates sent with an inline address are ignored). With neither configured
+// every address is accepted (local development).
+const { PricingError } = require('./pricing');
+
+const FULFILLMENT_TYPES = ['pickup', 'delivery', 'dine-in'];
+// In cents
+const DELIVERY_FEE = (() => {
+  const fee = Number(process.env.DELIVERY_FEE ?? 299);
+  if (!Number.isInteger(fee) || fee < 0) {
+    throw new Error('DELIVERY_FEE must be a whole number of cents, e.g. 299');
+  }
+  return fee;
+})();
+const DELIVERY_RADIUS_KM = Number(process.env.DELIVERY_RADIUS_KM) || 0;
+const TABLE_COUNT = Number(process.env.TABLE_COUNT) || 20;
+const EARTH_RADIUS_KM = 6371;
+
+const normalizePostcode = (postcode) => String(postcode || '').replace(/\s+/g, '').toUpperCase();
+
+const DELIVERY_POSTCODES = (process.env.DELIVERY_POSTCODES || '')
+  .split(',')
+  .map(normalizePostcode)
+  .filter(Boolean);
+
+const STORE_LOCATION = (() => {
+  const [lat, lng] = (process.env.STORE_LOCATION || '').split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+})();
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const isLocation = (location) => Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+
+const inServiceArea = (address, store) => {
+  const origin = store && store.address && isLocation(store.address.location) ? store.address.location : STORE_LOCATION;
+  const byRadius = Boolean(origin && DELIVERY_RADIUS_KM);
+  if (!DELIVERY_POSTCODES.length && !byRadius) return true;
+
+  const postcode = normalizePostcode(address.postcode);
+  if (DELIVERY_POSTCODES.some(prefix => postcode.startsWith(prefix))) return true;
+
+  return byRadius && isLocation(address.location) && distanceKm(origin, address.location) <= DELIVERY_RADIUS_KM;
+};
+
+const formatAddress = (address) =>
+  [address.line1, address.line2, address.city, address.postcode].filter(Boolean).join(', ');
+
+// Check the fulfillment details of an order from `store` and work out its delivery fee.
+// Delivery takes a saved address (addressId, looked up with `findAddress`) or one given inline.
+// Throws PricingError for anything the customer has to fix.
+const resolveFulfillment = async ({ fulfillmentType = 'pickup', addressId, address, tableNumber }, findAddress, store) => {
+  if (!FULFILLMENT_TYPES.includes(fulfillmentType)) {
+    throw new PricingError(`fulfillmentType must be one of: ${FULFILLMENT_TYPES.join(', ')}`);
+  }
+
+  if (fulfillmentType === 'dine-in') {
+    const table = Number(tableNumber);
+    if (!Number.isInteger(table) || table < 1 || table > TABLE_COUNT) {
+      throw new PricingError(`Choose a table number from 1 to ${TABLE_COUNT}`);
+    }
+    return { fulfillmentType, tableNumber: table, deliveryFee: 0 };
+  }
+
+  if (fulfillmentType === 'pickup') {
+    return { fulfillmentType, deliveryFee: 0 };
+  }
+
+  // Only a saved address brings its coordinates; an inline one is checked by postcode
+  const delivery = addressId ? await findAddress(addressId) : address && { ...address, location: undefined };
+  if (!delivery) {
+    throw new PricingError(addressId ? 'Delivery address not found' : 'Choose a delivery address');
+  }
+  if (!delivery.line1 || !delivery.postcode) {
+    throw new PricingError('A delivery address needs a street and a postcode');
+  }
+  if (!inServiceArea(delivery, store)) {
+    throw new PricingError(`Sorry, we do not deliver to ${delivery.postcode}`);
+  }
+
+  const { line1, line2, city, postcode, instructions, location } = delivery;
+  return {
+    fulfillmentType,
+    address: { line1, line2, city, postcode, instructions, location },
+    deliveryAddress: formatAddress(delivery),
+    deliveryFee: DELIVERY_FEE
+  };
+};
+
+module.exports = { FULFILLMENT_TYPES, TABLE_COUNT, resolveFulfillment };
\ No newline at end of file
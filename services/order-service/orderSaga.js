@@ -0,0 +1,455 @@
+// Orchestrated order placement:
+// validateItems -> redeemReward -> reserveStock -> charge -> confirm -> notify.
+// Saga state is persisted so retries and compensation survive a restart.
+const mongoose = require('mongoose');
+const events = require('./events');
+const { SYSTEM_ROLE, TransitionError, transition } = require('./orderStateMachine');
+
+const MAX_ATTEMPTS = Number(process.env.SAGA_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.SAGA_BACKOFF_MS) || 1000;
+const PAYMENT_TIMEOUT_MS = Number(process.env.SAGA_PAYMENT_TIMEOUT_MS) || 60 * 1000;
+const SWEEP_INTERVAL_MS = 5000;
+const LOCK_MS = 30 * 1000;
+
+const SAGA_ACTOR = { userId: 'order-saga', role: SYSTEM_ROLE };
+
+const STEP_NAMES = ['validateItems', 'redeemReward', 'reserveStock', 'charge', 'confirm', 'notify'];
+
+const SagaStepSchema = new mongoose.Schema({
+  name: { type: String, enum: STEP_NAMES, required: true },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'waiting', 'completed', 'failed', 'compensated']
+  },
+  attempts: { type: Number, default: 0 },
+  compensationAttempts: { type: Number, default: 0 },
+  lastError: String,
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const OrderSagaSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  status: {
+    type: String,
+    default: 'running',
+    enum: ['running', 'waiting', 'completed', 'compensating', 'compensated', 'failed']
+  },
+  steps: [SagaStepSchema],
+  paymentId: String,
+  paymentStatus: String,
+  failedStep: String,
+  failureReason: String,
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: () => new Date(0) },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const OrderSaga = mongoose.model('OrderSaga', OrderSagaSchema);
+
+// A failure that retrying will not fix (e.g. product unavailable, payment declined)
+class SagaStepError extends Error {
+  constructor(message, terminal = false) {
+    super(message);
+    this.name = 'SagaStepError';
+    this.terminal = terminal;
+  }
+}
+
+const backoff = (attempts) => BACKOFF_BASE_MS * 2 ** (attempts - 1);
+
+// The order's breakdown, for notification-service to send as a receipt (minor units)
+const receipt = (order) => ({
+  currency: order.currency,
+  items: order.items.map(item => ({
+    name: item.name,
+    options: item.modifiers.map(m => m.option),
+    quantity: item.quantity,
+    amount: item.price * item.quantity
+  })),
+  subtotal: order.subtotal,
+  discounts: order.discounts.map(({ name, code, amount }) => ({ name, code, amount })),
+  taxes: order.taxes.map(({ name, rate, amount }) => ({ name, rate, amount })),
+  deliveryFee: order.deliveryFee,
+  tip: order.tip,
+  totalAmount: order.totalAmount
+});
+
+const createOrderSaga = ({ Order, services, urls }) => {
+  // notification-service turns these into customer notifications
+  const emit = (type, order, payload = {}) =>
+    events.transaction(session => events.record(
+      events.event(type, order._id, { orderId: order._id, userId: order.userId, ...payload }),
+      session
+    ));
+
+  // run() may return { wait: true } to park the step until an external callback arrives.
+  // Steps marked critical: false do not trigger compensation when they fail.
+  const STEPS = {
+    validateItems: {
+      // Runs inline in POST /api/orders; compensating it cancels the order itself
+      run: async () => {},
+      compensate: async (saga, order) => {
+        if (!['cancelled', 'completed'].includes(order.status)) {
+          try {
+            await transition(Order, order, 'cancelled', SAGA_ACTOR, `Order placement failed at ${saga.failedStep}`);
+          } catch (error) {
+            if (!(error instanceof TransitionError)) throw error;
+            console.error(`Saga ${saga.orderId}: cannot cancel order:`, error.message);
+          }
+        }
+
+        await emit('OrderPlacementFailed', order, {
+          failedStep: saga.failedStep,
+          reason: saga.failureReason
+        });
+      }
+    },
+
+    // Spend the customer's points on the order's loyalty reward, if it has one
+    redeemReward: {
+      run: async (saga, order) => {
+        if (!order.reward) return;
+        try {
+          await services.post(`${urls.user}/api/users/${order.userId}/loyalty/redemptions`, {
+            orderId: order._id,
+            reward: order.reward
+          });
+        } catch (error) {
+          const status = error.response?.status;
+          if (status === 400 || status === 404 || status === 409) {
+            throw new SagaStepError(error.response.data.error, true);
+          }
+          throw error;
+        }
+      },
+      compensate: async (saga, order) => {
+        if (!order.reward) return;
+        try {
+          await services.post(`${urls.user}/api/users/${order.userId}/loyalty/redemptions/${saga.orderId}/restore`);
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+    },
+
+    reserveStock: {
+      run: async (saga, order) => {
+        try {
+          await services.post(`${urls.product}/api/products/reservations`, {
+            orderId: order._id,
+            storeId: order.storeId,
+            items: order.items.map(({ productId, quantity }) => ({ productId, quantity }))
+          });
+        } catch (error) {
+          const status = error.response?.status;
+          if (status === 400 || status === 404 || status === 409) {
+            throw new SagaStepError(error.response.data.error, true);
+          }
+          throw error;
+        }
+      },
+      compensate: async (saga) => {
+        try {
+          await services.post(`${urls.product}/api/products/reservations/${saga.orderId}/release`);
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+    },
+
+    charge: {
+      run: async (saga, order) => {
+        let payment;
+        try {
+          ({ data: payment } = await services.post(`${urls.payment}/api/payments`, {
+            orderId: order._id,
+            amount: order.totalAmount,
+            userId: order.userId,
+            paymentToken: order.paymentToken
+          }, {
+            headers: { 'Idempotency-Key': `order-${order._id}` }
+          }));
+        } catch (error) {
+          // An earlier attempt got through; carry on with that payment
+          if (error.response?.status !== 409 || !error.response.data.payment) throw error;
+          payment = error.response.data.payment;
+        }
+        saga.paymentId = payment._id;
+        return { wait: true };
+      },
+      // Called when the payment callback has not arrived within PAYMENT_TIMEOUT_MS
+      poll: async (saga) => {
+        try {
+          const { data: payment } = await services.get(`${urls.payment}/api/payments/order/${saga.orderId}`);
+          return payment.status;
+        } catch (error) {
+          if (error.response?.status === 404) return 'failed';
+          throw error;
+        }
+      },
+      compensate: async (saga) => {
+        if (!saga.paymentId) return;
+        const { data: payment } = await services.get(`${urls.payment}/api/payments/order/${saga.orderId}`);
+        const reason = `Order placement failed at ${saga.failedStep}`;
+        if (payment.status === 'completed') {
+          await services.post(`${urls.payment}/api/payments/${payment._id}/refund`, { reason });
+        } else if (payment.status === 'processing') {
+          // Authorized but not captured yet: release the hold instead of refunding
+          await services.post(`${urls.payment}/api/payments/${payment._id}/void`, { reason });
+        }
+      }
+    },
+
+    confirm: {
+      run: async (saga, order) => {
+        if (order.status !== 'confirmed') {
+          try {
+            await transition(Order, order, 'confirmed', SAGA_ACTOR, 'Payment completed');
+          } catch (error) {
+            if (error instanceof TransitionError) throw new SagaStepError(error.message, error.status !== 409);
+            throw error;
+          }
+        }
+        // Paid for: the reserved stock is now sold
+        await services.post(`${urls.product}/api/products/reservations/${saga.orderId}/commit`);
+      }
+    },
+
+    notify: {
+      critical: false,
+      run: async (saga, order) => {
+        await emit('OrderConfirmed', order, { totalAmount: order.totalAmount, receipt: receipt(order) });
+      }
+    }
+  };
+
+  const claim = (sagaId) => {
+    const now = new Date();
+    return OrderSaga.findOneAndUpdate(
+      { _id: sagaId, nextAttemptAt: { $lte: now }, lockedUntil: { $lte: now } },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+  };
+
+  const schedule = (saga, delay) => {
+    saga.nextAttemptAt = new Date(Date.now() + delay);
+    setTimeout(() => advance(saga._id), delay).unref();
+  };
+
+  const fail = (saga, step, error) => {
+    step.status = 'failed';
+    saga.status = 'compensating';
+    saga.failedStep = step.name;
+    saga.failureReason = error.message;
+    saga.nextAttemptAt = new Date();
+  };
+
+  const runSteps = async (saga, order) => {
+    for (const step of saga.steps) {
+      if (step.status === 'completed' || (step.status === 'failed' && STEPS[step.name].critical === false)) {
+        continue;
+      }
+      const def = STEPS[step.name];
+      step.updatedAt = new Date();
+
+      if (step.status === 'waiting') {
+        if (saga.nextAttemptAt > new Date()) return;
+
+        step.attempts += 1;
+        let result;
+        try {
+          result = await def.poll(saga);
+        } catch (error) {
+          result = 'processing';
+          step.lastError = error.message;
+        }
+        saga.paymentStatus = result;
+        if (['completed', 'failed'].includes(result)) {
+          // The callback never came: record the payment on the order as applyPaymentStatus would,
+          // so the confirm guard sees it
+          await Order.updateOne({ _id: order._id }, { paymentStatus: result, updatedAt: new Date() });
+          order.paymentStatus = result;
+        }
+
+        if (result === 'completed') {
+          step.status = 'completed';
+          saga.status = 'running';
+          continue;
+        }
+        if (result === 'failed' || step.attempts >= MAX_ATTEMPTS) {
+          return fail(saga, step, new Error(result === 'failed' ? 'Payment failed' : 'Payment timed out'));
+        }
+        return schedule(saga, PAYMENT_TIMEOUT_MS);
+      }
+
+      step.attempts += 1;
+      try {
+        const result = await def.run(saga, order);
+        if (result && result.wait) {
+          // The payment callback can beat us here; onPaymentResult leaves its result on the saga
+          const { paymentStatus } = await OrderSaga.findById(saga._id).select('paymentStatus').lean();
+          if (paymentStatus === 'completed') {
+            saga.paymentStatus = paymentStatus;
+            step.status = 'completed';
+            step.lastError = undefined;
+            continue;
+          }
+          if (paymentStatus === 'failed') {
+            saga.paymentStatus = paymentStatus;
+            return fail(saga, step, new Error('Payment failed'));
+          }
+          step.status = 'waiting';
+          saga.status = 'waiting';
+          return schedule(saga, PAYMENT_TIMEOUT_MS);
+        }
+        step.status = 'completed';
+        step.lastError = undefined;
+      } catch (error) {
+        const message = error.response?.data?.error || error.message;
+        step.lastError = message;
+        console.error(`Saga ${saga.orderId}: ${step.name} attempt ${step.attempts} failed:`, message);
+
+        if (!error.terminal && step.attempts < MAX_ATTEMPTS) {
+          return schedule(saga, backoff(step.attempts));
+        }
+        if (def.critical === false) {
+          step.status = 'failed';
+          continue;
+        }
+        return fail(saga, step, new Error(message));
+      }
+    }
+
+    saga.status = 'completed';
+  };
+
+  // Undo every step that ran, newest first; each compensation is idempotent
+  const compensate = async (saga, order) => {
+    for (const step of [...saga.steps].reverse()) {
+      const def = STEPS[step.name];
+      if (step.attempts === 0 || step.status === 'compensated' || !def.compensate) continue;
+
+      step.compensationAttempts += 1;
+      step.updatedAt = new Date();
+      try {
+        await def.compensate(saga, order);
+        step.status = 'compensated';
+      } catch (error) {
+        step.lastError = error.response?.data?.error || error.message;
+        console.error(`Saga ${saga.orderId}: compensating ${step.name} failed:`, step.lastError);
+
+        if (step.compensationAttempts < MAX_ATTEMPTS) {
+          return schedule(saga, backoff(step.compensationAttempts));
+        }
+        saga.status = 'failed';
+        return;
+      }
+    }
+
+    saga.status = 'compensated';
+  };
+
+  const advance = async (sagaId) => {
+    const saga = await claim(sagaId);
+    if (!saga || ['completed', 'compensated', 'failed'].includes(saga.status)) return;
+
+    try {
+      const order = await Order.findById(saga.orderId);
+      if (!order) {
+        saga.status = 'failed';
+        saga.failureReason = 'Order not found';
+      } else if (saga.status === 'compensating') {
+        await compensate(saga, order);
+      } else {
+        await runSteps(saga, order);
+        if (saga.status === 'compensating') {
+          await compensate(saga, await Order.findById(saga.orderId));
+        }
+      }
+    } catch (error) {
+      console.error(`Saga ${saga.orderId} error:`, error.message);
+      schedule(saga, BACKOFF_BASE_MS);
+    } finally {
+      saga.updatedAt = new Date();
+      saga.lockedUntil = new Date(0);
+      await saga.save().catch(err => console.error(`Saga ${saga.orderId} save error:`, err.message));
+    }
+  };
+
+  // Create the saga in the order's transaction; item validation has already happened inline.
+  // Call resume(saga._id) once the transaction has committed.
+  const start = async (order, session) => {
+    const [saga] = await OrderSaga.create([{
+      orderId: order._id.toString(),
+      steps: STEP_NAMES.map(name =>
+        name === 'validateItems' ? { name, status: 'completed', attempts: 1 } : { name }
+      )
+    }], { session });
+    return saga;
+  };
+
+  const resume = (sagaId) => setImmediate(() => advance(sagaId));
+
+  // Payment callback from payment-service resumes the parked charge step
+  const onPaymentResult = async (orderId, paymentStatus) => {
+    if (!['completed', 'failed'].includes(paymentStatus)) return;
+
+    const update = {
+      'steps.$.status': paymentStatus,
+      'steps.$.updatedAt': new Date(),
+      status: 'running',
+      paymentStatus,
+      nextAttemptAt: new Date()
+    };
+    if (paymentStatus === 'failed') {
+      Object.assign(update, {
+        'steps.$.lastError': 'Payment failed',
+        status: 'compensating',
+        failedStep: 'charge',
+        failureReason: 'Payment failed'
+      });
+    }
+
+    const saga = await OrderSaga.findOneAndUpdate(
+      { orderId: orderId.toString(), steps: { $elemMatch: { name: 'charge', status: 'waiting' } } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (saga) {
+      await advance(saga._id);
+      return;
+    }
+    // The charge step has not parked yet: keep the result for it to pick up when it does
+    await OrderSaga.updateOne(
+      { orderId: orderId.toString(), steps: { $elemMatch: { name: 'charge', status: 'pending' } } },
+      { $set: { paymentStatus } }
+    );
+  };
+
+  // Picks up sagas whose retry is due, including those interrupted by a restart
+  const sweep = async () => {
+    try {
+      const due = await OrderSaga.find({
+        status: { $in: ['running', 'waiting', 'compensating'] },
+        nextAttemptAt: { $lte: new Date() },
+        lockedUntil: { $lte: new Date() }
+      }).select('_id').limit(50);
+
+      for (const saga of due) {
+        await advance(saga._id);
+      }
+    } catch (error) {
+      console.error('Saga sweep error:', error.message);
+    }
+  };
+
+  const startSweeper = () => setInterval(sweep, SWEEP_INTERVAL_MS);
+
+  return { start, resume, onPaymentResult, startSweeper };
+};
+
+module.exports = { OrderSaga, SagaStepError, createOrderSaga };
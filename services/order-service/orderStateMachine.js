@@ -0,0 +1,145 @@
+// Order lifecycle: which status changes are allowed, who may make them, and guards
+const events = require('./events');
+
+const SYSTEM_ROLE = 'system';
+
+const paymentCompleted = (order) =>
+  order.paymentStatus === 'completed' ? null : 'Cannot confirm until payment is completed';
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: [SYSTEM_ROLE, 'admin'], guard: paymentCompleted },
+    cancelled: { roles: [SYSTEM_ROLE, 'customer', 'barista', 'admin'] }
+  },
+  confirmed: {
+    preparing: { roles: ['barista', 'admin'] },
+    // Paid for: cancelling refunds the payment (see the OrderStatusChanged consumers)
+    cancelled: { roles: [SYSTEM_ROLE, 'customer', 'barista', 'admin'] }
+  },
+  preparing: {
+    ready: { roles: ['barista', 'admin'] },
+    cancelled: { roles: ['admin'] }
+  },
+  ready: {
+    completed: { roles: ['barista', 'admin'] }
+  },
+  completed: {},
+  cancelled: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+class TransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransitionError';
+    this.status = status;
+  }
+}
+
+// Actor recorded in statusHistory for a request (user token or signed service call)
+const actorFrom = (req) =>
+  req.user
+    ? { userId: req.user.userId, role: req.user.role }
+    : { userId: req.service, role: SYSTEM_ROLE };
+
+// Throws TransitionError when `actor` may not move `order` to `to`
+const assertTransition = (order, to, actor) => {
+  if (!STATUSES.includes(to)) {
+    throw new TransitionError(`Unknown status: ${to}`);
+  }
+
+  const rule = TRANSITIONS[order.status][to];
+  if (!rule) {
+    throw new TransitionError(`Cannot move order from ${order.status} to ${to}`);
+  }
+  if (!rule.roles.includes(actor.role)) {
+    throw new TransitionError(`Role ${actor.role} cannot move order to ${to}`, 403);
+  }
+
+  const guardError = rule.guard && rule.guard(order);
+  if (guardError) {
+    throw new TransitionError(guardError, 409);
+  }
+};
+
+// Apply a status change, appending to statusHistory in the same atomic update
+// and recording OrderStatusChanged in the outbox within the same transaction
+const applyTransition = async (Order, order, to, actor, reason, override = false) => {
+  const now = new Date();
+  const entry = {
+    from: order.status,
+    to,
+    changedBy: actor.userId,
+    role: actor.role,
+    reason,
+    ...(override && { override: true }),
+    changedAt: now
+  };
+
+  const updated = await events.transaction(async (session) => {
+    const result = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: {
+          status: to,
+          updatedAt: now,
+          ...(to === 'confirmed' && { confirmedAt: now }),
+          // Orders for as soon as possible go straight to the kitchen queue
+          ...(to === 'confirmed' && !order.pickupAt && { releasedAt: now })
+        },
+        $push: { statusHistory: entry }
+      },
+      { new: true, session }
+    );
+    if (result) {
+      await events.record(events.event('OrderStatusChanged', order._id, {
+        orderId: order._id,
+        userId: order.userId,
+        storeId: order.storeId,
+        ...entry
+      }), session);
+    }
+    return result;
+  });
+
+  if (!updated) {
+    throw new TransitionError('Order status changed concurrently, please retry', 409);
+  }
+  return updated;
+};
+
+const transition = async (Order, order, to, actor, reason) => {
+  assertTransition(order, to, actor);
+  return applyTransition(Order, order, to, actor, reason);
+};
+
+// Admin override: any status change outside the normal rules, with a mandatory reason
+const overrideStatus = async (Order, order, to, actor, reason) => {
+  if (actor.role !== 'admin') {
+    throw new TransitionError('Only admins can override order status', 403);
+  }
+  if (!STATUSES.includes(to)) {
+    throw new TransitionError(`Unknown status: ${to}`);
+  }
+  if (order.status === to) {
+    throw new TransitionError(`Order is already ${to}`);
+  }
+  if (!reason || !reason.trim()) {
+    throw new TransitionError('A reason is required to override the status');
+  }
+  return applyTransition(Order, order, to, actor, reason, true);
+};
+
+const allowedTransitions = (status) => Object.keys(TRANSITIONS[status] || {});
+
+module.exports = {
+  SYSTEM_ROLE,
+  STATUSES,
+  TransitionError,
+  actorFrom,
+  assertTransition,
+  transition,
+  overrideStatus,
+  allowedTransitions
+};
@@ -0,0 +1,148 @@
+// Server-side pricing of order lines, including modifier selections (size, milk, syrups...).
+// Like everything else, menu prices from product-service are integer minor units (cents),
+// so totals add up exactly.
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = 400;
+  }
+}
+
+const CURRENCY = process.env.CURRENCY || 'USD';
+
+const formatMinor = (minor) => `$${(minor / 100).toFixed(2)}`;
+
+// Split `amount` (minor units) over `weights` in proportion, to the unit: each share is rounded
+// down and the units left over go to the largest fractions. The shares add up to `amount`
+// exactly and a zero weight gets nothing.
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (amount < 0 || weights.some(weight => weight < 0) || (amount > 0 && !total)) {
+    throw new Error(`Cannot allocate ${amount} over ${weights.join(', ')}`);
+  }
+  if (!amount) return weights.map(() => 0);
+
+  const exact = weights.map(weight => amount * weight / total);
+  const shares = exact.map(Math.floor);
+  let left = amount - shares.reduce((sum, share) => sum + share, 0);
+  const byFraction = exact.map((value, i) => i).sort((a, b) => (exact[b] % 1) - (exact[a] % 1));
+  for (const i of byFraction) {
+    if (!left) break;
+    if (!weights[i]) continue;
+    shares[i] += 1;
+    left -= 1;
+  }
+  return shares;
+};
+
+// Resolve `selections` ([{ groupId, optionId }]) against the product's modifier groups.
+// Without any selections every group gets its default options; with them, a group left out
+// has nothing chosen, so a default can be taken off.
+const resolveModifiers = (product, selections) => {
+  const groups = product.modifierGroups || [];
+  const chosen = new Map();
+  const useDefaults = selections == null;
+
+  if (!useDefaults && !Array.isArray(selections)) {
+    throw new PricingError(`${product.name}: modifiers must be a list`);
+  }
+
+  for (const { groupId, optionId } of selections || []) {
+    const group = groups.find(g => String(g._id) === String(groupId));
+    if (!group) {
+      throw new PricingError(`${product.name}: unknown modifier group ${groupId}`);
+    }
+    const option = group.options.find(o => String(o._id) === String(optionId));
+    if (!option) {
+      throw new PricingError(`${product.name}: unknown ${group.name} option ${optionId}`);
+    }
+    if (option.available === false) {
+      throw new PricingError(`${product.name}: ${option.name} is not available`);
+    }
+
+    const picked = chosen.get(String(group._id)) || [];
+    if (picked.includes(option)) {
+      throw new PricingError(`${product.name}: ${option.name} selected twice`);
+    }
+    chosen.set(String(group._id), [...picked, option]);
+  }
+
+  const modifiers = [];
+  for (const group of groups) {
+    const options = useDefaults
+      ? group.options.filter(o => o.isDefault && o.available !== false)
+      : chosen.get(String(group._id)) || [];
+
+    const min = Math.max(group.minSelections || 0, group.required ? 1 : 0);
+    const max = group.maxSelections ?? 1;
+    if (options.length < min) {
+      throw new PricingError(`${product.name}: choose at least ${min} ${group.name}`);
+    }
+    if (options.length > max) {
+      throw new PricingError(`${product.name}: choose at most ${max} ${group.name}`);
+    }
+
+    for (const option of options) {
+      modifiers.push({
+        groupId: String(group._id),
+        group: group.name,
+        optionId: String(option._id),
+        option: option.name,
+        priceDelta: option.priceDelta || 0
+      });
+    }
+  }
+
+  return modifiers;
+};
+
+// Price one requested line ({ quantity, modifiers }) for a product fetched from product-service.
+// basePrice, priceDelta and price are in minor units.
+const priceItem = (product, { quantity, modifiers: selections }) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new PricingError(`${product.name}: quantity must be a positive integer`);
+  }
+
+  const modifiers = resolveModifiers(product, selections);
+  const basePrice = product.price;
+  const unitPrice = basePrice + modifiers.reduce((sum, m) => sum + m.priceDelta, 0);
+
+  return {
+    productId: product._id,
+    name: product.name,
+    category: product.category,
+    quantity,
+    basePrice,
+    modifiers,
+    price: unitPrice
+  };
+};
+
+// The tip in minor units: a fixed amount (`tip`, in minor units) or `tipPercent` of `base`
+const priceTip = ({ tip, tipPercent } = {}, base = 0) => {
+  if (tip != null && tipPercent != null) {
+    throw new PricingError('Give either tip or tipPercent, not both');
+  }
+  if (tipPercent != null) {
+    if (typeof tipPercent !== 'number' || !(tipPercent >= 0 && tipPercent <= 100)) {
+      throw new PricingError('tipPercent must be between 0 and 100');
+    }
+    return Math.round(base * tipPercent / 100);
+  }
+  if (tip != null && (!Number.isInteger(tip) || tip < 0)) {
+    throw new PricingError('tip must be a whole number of cents');
+  }
+  return tip || 0;
+};
+
+module.exports = {
+  CURRENCY,
+  PricingError,
+  formatMinor,
+  allocate,
+  resolveModifiers,
+  priceItem,
+  priceTip
+};
@@ -0,0 +1,296 @@
+// Promotions: promo codes and automatic offers, applied to orders on the server.
+// A promotion takes a percentage or a fixed amount off, or makes every Nth item cheaper
+// (buy X get Y). Any of them can be limited to categories or products, a minimum spend,
+// happy-hour times, a validity window and total or per-user usage limits.
+// An order gets every automatic promotion (no code) that applies, plus at most one code.
+// A loyalty reward paid for with points comes off last, as a discount of type `reward`.
+// Happy hours are in the local time of the store taking the order, so one promotion runs from
+// 17:00 to 19:00 at every store; STORE_TIMEZONE is for pricing without a store (e.g. a cart
+// before one is chosen).
+// Amounts (value for fixed, minSpend) and the discounts worked out are in minor units
+// (cents), like the order lines.
+const mongoose = require('mongoose');
+const { TIME_OF_DAY, toMinutes, localClock, inWindow } = require('../shared/timeOfDay');
+const { MINOR_UNITS, inMinorUnits } = require('../shared/minorUnits');
+const { formatMinor, allocate } = require('./pricing');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'bogo'];
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'UTC';
+
+class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+const PromotionSchema = new mongoose.Schema({
+  // Entered by the customer at checkout; promotions without a code apply by themselves
+  code: { type: String, trim: true, uppercase: true },
+  name: { type: String, required: true },
+  description: String,
+  type: { type: String, enum: PROMOTION_TYPES, required: true },
+  // Percent off (percentage), amount off in cents (fixed) or percent off the discounted items (bogo)
+  value: { type: Number, min: 0, required: true },
+  // bogo: out of every buyQuantity + getQuantity eligible items, the cheapest getQuantity
+  buyQuantity: { type: Number, min: 1, default: 1 },
+  getQuantity: { type: Number, min: 1, default: 1 },
+  // Eligible lines by category or product; both empty means the whole order
+  categories: [String],
+  productIds: [String],
+  // In cents
+  minSpend: { type: Number, min: 0, default: 0, validate: inMinorUnits },
+  // Happy hour: between start and end (HH:MM, the store's local time), on these days only (0 = Sunday)
+  schedule: {
+    days: [{ type: Number, min: 0, max: 6 }],
+    start: { type: String, match: TIME_OF_DAY },
+    end: { type: String, match: TIME_OF_DAY }
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  // Redemptions allowed in total and per customer; unlimited when not set
+  usageLimit: { type: Number, min: 1 },
+  perUserLimit: { type: Number, min: 1 },
+  usedCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  minorUnits: MINOR_UNITS,
+  createdAt: { type: Date, default: Date.now }
+});
+
+PromotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+PromotionSchema.pre('validate', function (next) {
+  if (this.type !== 'fixed' && this.value > 100) {
+    this.invalidate('value', 'A percentage cannot be more than 100');
+  }
+  if (this.type === 'fixed' && !Number.isInteger(this.value)) {
+    this.invalidate('value', 'A fixed amount off must be in cents');
+  }
+  if (Boolean(this.schedule.start) !== Boolean(this.schedule.end)) {
+    this.invalidate('schedule', 'A schedule needs both start and end');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'expiresAt must be after startsAt');
+  }
+  next();
+});
+
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+
+// Uses per customer, for perUserLimit
+const PromotionUsage = mongoose.model('PromotionUsage', new mongoose.Schema({
+  promotionId: { type: String, required: true },
+  userId: { type: String, required: true },
+  count: { type: Number, default: 0 }
+}).index({ promotionId: 1, userId: 1 }, { unique: true }));
+
+const inSchedule = (schedule, date, timeZone) => {
+  if (!schedule || !schedule.start) return true;
+
+  const { weekday, minutes } = localClock(date, timeZone);
+  if (schedule.days.length && !schedule.days.includes(weekday)) return false;
+  return inWindow(minutes, toMinutes(schedule.start), toMinutes(schedule.end));
+};
+
+const lineTotal = (line) => line.price * line.quantity;
+
+const eligibleLines = (promotion, lines) => {
+  if (!promotion.categories.length && !promotion.productIds.length) return lines;
+  return lines.filter(line =>
+    promotion.categories.includes(line.category) || promotion.productIds.includes(String(line.productId)));
+};
+
+// Why `promotion` cannot be used on these lines, or null when it can
+const ineligibility = (promotion, lines, subtotal, now, timeZone) => {
+  if (!promotion.active) return 'is not active';
+  if (promotion.startsAt && now < promotion.startsAt) return 'is not valid yet';
+  if (promotion.expiresAt && now >= promotion.expiresAt) return 'has expired';
+  if (!inSchedule(promotion.schedule, now, timeZone)) {
+    return `is only valid from ${promotion.schedule.start} to ${promotion.schedule.end}`;
+  }
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) return 'has been fully redeemed';
+  if (subtotal < promotion.minSpend) return `needs a minimum spend of ${formatMinor(promotion.minSpend)}`;
+  if (!eligibleLines(promotion, lines).length) return 'does not apply to anything in this order';
+  return null;
+};
+
+const withinUserLimit = async (promotion, userId) => {
+  if (!promotion.perUserLimit) return true;
+  const usage = await PromotionUsage.findOne({ promotionId: String(promotion._id), userId });
+  return !usage || usage.count < promotion.perUserLimit;
+};
+
+// Spread `amount` over lines in proportion to their totals
+const allocateLines = (amount, lines) =>
+  allocate(amount, lines.map(lineTotal)).map((share, i) => ({ index: lines[i].index, amount: share }));
+
+// [{ index, amount }] taken off each eligible line
+const discountLines = (promotion, lines) => {
+  const eligible = eligibleLines(promotion, lines);
+  const total = eligible.reduce((sum, line) => sum + lineTotal(line), 0);
+
+  if (promotion.type === 'percentage') {
+    return allocateLines(Math.round(total * promotion.value / 100), eligible);
+  }
+  if (promotion.type === 'fixed') {
+    return allocateLines(Math.min(promotion.value, total), eligible);
+  }
+
+  // bogo: the cheapest units go first
+  const units = eligible
+    .flatMap(line => Array(line.quantity).fill(line))
+    .sort((a, b) => a.price - b.price);
+  const discounted = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+  const amounts = new Map();
+  for (const line of units.slice(0, discounted)) {
+    amounts.set(line.index, (amounts.get(line.index) || 0) + line.price * promotion.value / 100);
+  }
+  return [...amounts].map(([index, amount]) => ({ index, amount: Math.round(amount) }));
+};
+
+// Discounts for priced order items ({ productId, name, category, price, quantity }) at `store`
+// (from product-service: { _id, timezone }). Returns the totals, the discounts with a per-line breakdown, and the discount on each item,
+// all in minor units.
+// Throws PromotionError when `code` cannot be used.
+const applyPromotions = async (items, { code, userId, store, now = new Date() } = {}) => {
+  const timeZone = (store && store.timezone) || STORE_TIMEZONE;
+  const lines = items.map((item, index) => ({ ...item, index }));
+  const subtotal = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+
+  const promotions = [];
+  for (const promotion of await Promotion.find({ code: null, active: true }).sort('createdAt')) {
+    if (!ineligibility(promotion, lines, subtotal, now, timeZone) && await withinUserLimit(promotion, userId)) {
+      promotions.push(promotion);
+    }
+  }
+
+  if (code && code.trim()) {
+    const promotion = await Promotion.findOne({ code: code.trim().toUpperCase() });
+    if (!promotion) {
+      throw new PromotionError(`Unknown promo code ${code.trim()}`);
+    }
+    const reason = ineligibility(promotion, lines, subtotal, now, timeZone);
+    if (reason) {
+      throw new PromotionError(`${promotion.code} ${reason}`);
+    }
+    if (!await withinUserLimit(promotion, userId)) {
+      throw new PromotionError(`You have already used ${promotion.code}`);
+    }
+    promotions.push(promotion);
+  }
+
+  // Later promotions only discount what earlier ones left
+  const remaining = lines.map(lineTotal);
+  const discounts = [];
+  for (const promotion of promotions) {
+    const taken = discountLines(promotion, lines)
+      .map(({ index, amount }) => ({ index, amount: Math.min(amount, remaining[index]) }))
+      .filter(line => line.amount > 0);
+    if (!taken.length) continue;
+
+    for (const { index, amount } of taken) {
+      remaining[index] -= amount;
+    }
+    discounts.push({
+      promotionId: String(promotion._id),
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      amount: taken.reduce((sum, line) => sum + line.amount, 0),
+      lines: taken.map(({ index, amount }) => ({ itemIndex: index, name: lines[index].name, amount }))
+    });
+  }
+
+  const discountTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    totalAmount: subtotal - discountTotal,
+    itemDiscounts: lines.map((line, i) => lineTotal(line) - remaining[i])
+  };
+};
+
+// Take one unit of the most expensive item the reward covers off `pricing` (from
+// applyPromotions), after the promotions. Throws PromotionError when nothing qualifies.
+const applyReward = (pricing, items, reward) => {
+  const units = items
+    .map((item, index) => ({
+      index,
+      amount: Math.min(item.price, lineTotal(item) - pricing.itemDiscounts[index])
+    }))
+    .filter(({ index, amount }) => reward.categories.includes(items[index].category) && amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+  if (!units.length) {
+    throw new PromotionError(`${reward.name} needs a ${reward.categories.join(' or ')} item in the order`);
+  }
+
+  const { index, amount } = units[0];
+  const discountTotal = pricing.discountTotal + amount;
+  return {
+    ...pricing,
+    discounts: [...pricing.discounts, {
+      name: reward.name,
+      type: 'reward',
+      amount,
+      lines: [{ itemIndex: index, name: items[index].name, amount }]
+    }],
+    discountTotal,
+    totalAmount: pricing.subtotal - discountTotal,
+    itemDiscounts: pricing.itemDiscounts.map((discount, i) => (i === index ? discount + amount : discount))
+  };
+};
+
+// Only discounts from promotions count against usage limits, not loyalty rewards
+const fromPromotions = (discounts) => discounts.filter(discount => discount.promotionId);
+
+// Count one use of each applied promotion, inside the order's transaction.
+// Throws PromotionError when a limit was reached since the discounts were worked out.
+const redeem = async (discounts, userId, session) => {
+  for (const { promotionId, code } of fromPromotions(discounts)) {
+    const label = code || 'This offer';
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: promotionId, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+    if (!promotion) {
+      throw new PromotionError(`${label} has been fully redeemed`, 409);
+    }
+
+    try {
+      await PromotionUsage.findOneAndUpdate(
+        {
+          promotionId,
+          userId,
+          ...(promotion.perUserLimit && { count: { $lt: promotion.perUserLimit } })
+        },
+        { $inc: { count: 1 } },
+        { upsert: true, session }
+      );
+    } catch (error) {
+      // No usage below the limit to update, and the upsert hit the existing one
+      if (error.code !== 11000) throw error;
+      throw new PromotionError(`You have already used ${code || 'this offer'} as often as allowed`, 409);
+    }
+  }
+};
+
+// Give back the uses of a cancelled order's promotions
+const release = async (discounts, userId, session) => {
+  for (const { promotionId } of fromPromotions(discounts)) {
+    await Promotion.updateOne({ _id: promotionId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+    await PromotionUsage.updateOne({ promotionId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } }, { session });
+  }
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  Promotion,
+  PromotionError,
+  applyPromotions,
+  applyReward,
+  redeem,
+  release
+};
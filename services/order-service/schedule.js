@@ -0,0 +1,186 @@
+// Ordering ahead for pickup.
+// Pickup times are slot starts, every SLOT_MINUTES within the store's opening hours (in its
+// time zone), and each slot takes at most SLOT_CAPACITY orders per store. A scheduled order
+// is paid for and confirmed at once but only reaches the kitchen queue PREP_LEAD_MINUTES
+// before its pickup time; orders without a pickup time are released when they are confirmed.
+// `store` is a store from product-service: { _id, timezone, openingHours }.
+const mongoose = require('mongoose');
+const events = require('./events');
+const { parseOpeningHours } = require('../shared/openingHours');
+const { localClock } = require('../shared/timeOfDay');
+
+const SLOT_MINUTES = Number(process.env.SLOT_MINUTES) || 10;
+const SLOT_CAPACITY = Number(process.env.SLOT_CAPACITY) || 5;
+const PREP_LEAD_MINUTES = Number(process.env.PREP_LEAD_MINUTES) || 10;
+const ORDER_AHEAD_DAYS = Number(process.env.ORDER_AHEAD_DAYS) || 7;
+const RELEASE_INTERVAL_MS = 30 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+// Orders taken per store and slot; slot documents go away a day after the slot
+const PickupSlot = mongoose.model('PickupSlot', new mongoose.Schema({
+  storeId: String,
+  start: { type: Date, required: true },
+  count: { type: Number, default: 0 }
+})
+  .index({ storeId: 1, start: 1 }, { unique: true })
+  .index({ start: 1 }, { expireAfterSeconds: 24 * 60 * 60 }));
+
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// The instant at `minutes` past midnight on `day` in `timeZone`
+const storeTime = (day, minutes, timeZone) => {
+  const wanted = Date.parse(`${day}T00:00:00Z`) + minutes * MINUTE_MS;
+  // Guess with the offset at that time, then correct once for a DST change in between
+  const offsetAt = (time) => {
+    const local = localClock(new Date(time), timeZone);
+    return Date.parse(`${local.day}T00:00:00Z`) + local.minutes * MINUTE_MS - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  };
+  const guess = wanted - offsetAt(wanted);
+  return new Date(wanted - offsetAt(guess));
+};
+
+const bookingWindow = (now) => ({
+  earliest: now.getTime() + PREP_LEAD_MINUTES * MINUTE_MS,
+  latest: now.getTime() + ORDER_AHEAD_DAYS * 24 * 60 * MINUTE_MS
+});
+
+// Pickup slots at the store on its local `day` (default today) that can still be booked,
+// with the places left
+const availability = async (store, day = localClock(new Date(), store.timezone).day, now = new Date()) => {
+  if (!DAY.test(day) || isNaN(Date.parse(day))) {
+    throw new ScheduleError('date must be YYYY-MM-DD');
+  }
+
+  const hours = parseOpeningHours(store.openingHours)[weekdayOf(day)];
+  const { earliest, latest } = bookingWindow(now);
+  const starts = [];
+  for (let minutes = hours ? hours.open : 0; hours && minutes + SLOT_MINUTES <= hours.close; minutes += SLOT_MINUTES) {
+    const start = storeTime(day, minutes, store.timezone);
+    if (start >= earliest && start <= latest) starts.push(start);
+  }
+
+  const taken = await PickupSlot.find({ storeId: String(store._id), start: { $in: starts } });
+  const counts = new Map(taken.map(slot => [slot.start.getTime(), slot.count]));
+  return {
+    storeId: store._id,
+    date: day,
+    timezone: store.timezone,
+    open: Boolean(hours),
+    slotMinutes: SLOT_MINUTES,
+    capacity: SLOT_CAPACITY,
+    slots: starts.map(start => ({
+      start,
+      end: new Date(start.getTime() + SLOT_MINUTES * MINUTE_MS),
+      remaining: Math.max(0, SLOT_CAPACITY - (counts.get(start.getTime()) || 0))
+    }))
+  };
+};
+
+// The requested pickup time as a Date, once it is a bookable slot at the store with room left.
+// Throws ScheduleError otherwise.
+const checkPickupTime = async (store, pickupAt, fulfillmentType = 'pickup', now = new Date()) => {
+  if (fulfillmentType !== 'pickup') {
+    throw new ScheduleError('Only pickup orders can be scheduled');
+  }
+  const time = new Date(pickupAt);
+  if (isNaN(time)) {
+    throw new ScheduleError(`Invalid pickup time: ${pickupAt}`);
+  }
+
+  const { earliest, latest } = bookingWindow(now);
+  if (time < earliest) {
+    throw new ScheduleError(`Pickup must be at least ${PREP_LEAD_MINUTES} minutes from now`);
+  }
+  if (time > latest) {
+    throw new ScheduleError(`You can order up to ${ORDER_AHEAD_DAYS} days ahead`);
+  }
+
+  const { weekday, minutes } = localClock(time, store.timezone);
+  const hours = parseOpeningHours(store.openingHours)[weekday];
+  if (!hours || minutes < hours.open || minutes + SLOT_MINUTES > hours.close) {
+    throw new ScheduleError('We are closed at that time');
+  }
+  if ((minutes - hours.open) % SLOT_MINUTES !== 0 || time.getTime() % MINUTE_MS !== 0) {
+    throw new ScheduleError(`Pickup times are every ${SLOT_MINUTES} minutes`);
+  }
+
+  const slot = await PickupSlot.findOne({ storeId: String(store._id), start: time });
+  if (slot && slot.count >= SLOT_CAPACITY) {
+    throw new ScheduleError('That pickup time is fully booked; please choose another', 409);
+  }
+  return time;
+};
+
+// Take a place in the store's slot, inside the order's transaction
+const claimSlot = async (storeId, start, session) => {
+  try {
+    await PickupSlot.findOneAndUpdate(
+      { storeId, start, count: { $lt: SLOT_CAPACITY } },
+      { $inc: { count: 1 } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // No slot below capacity to update, and the upsert hit the full one
+    if (error.code !== 11000) throw error;
+    throw new ScheduleError('That pickup time has just filled up; please choose another', 409);
+  }
+};
+
+// Give the place back when a scheduled order is cancelled
+const releaseSlot = (storeId, start, session) =>
+  PickupSlot.updateOne({ storeId, start, count: { $gt: 0 } }, { $inc: { count: -1 } }, { session });
+
+// Hand confirmed scheduled orders to the kitchen once their prep time has come.
+// OrderReleased lets the kitchen display refresh.
+const createReleaser = (Order) => {
+  const releaseDue = async () => {
+    try {
+      const due = new Date(Date.now() + PREP_LEAD_MINUTES * MINUTE_MS);
+      const orders = await Order.find({ status: 'confirmed', releasedAt: null, pickupAt: { $lte: due } })
+        .select('_id userId storeId pickupAt')
+        .limit(50);
+
+      for (const order of orders) {
+        await events.transaction(async (session) => {
+          const released = await Order.findOneAndUpdate(
+            { _id: order._id, releasedAt: null },
+            { releasedAt: new Date() },
+            { session }
+          );
+          if (released) {
+            await events.record(events.event('OrderReleased', order._id, {
+              orderId: order._id,
+              userId: order.userId,
+              storeId: order.storeId,
+              pickupAt: order.pickupAt
+            }), session);
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Order release error:', error.message);
+    }
+  };
+
+  const startReleaser = () => setInterval(releaseDue, RELEASE_INTERVAL_MS);
+
+  return { releaseDue, startReleaser };
+};
+
+module.exports = {
+  ScheduleError,
+  availability,
+  checkPickupTime,
+  claimSlot,
+  releaseSlot,
+  createReleaser
+};
\ No newline at end of file
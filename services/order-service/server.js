@@ -2,136 +2,1081 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const cors = require('cors');
+const {
+  STAFF_ROLES,
+  authenticate,
+  requireRole,
+  requireSelfOrRole,
+  requireStoreAssignment,
+  canAccess,
+  isStaff,
+  staffStoreId
+} = require('../shared/auth');
+const { captureRawBody, serviceClient, requireService, serviceOr } = require('../shared/serviceAuth');
+const { createIdempotency } = require('../shared/idempotency');
+const { PaginationError, dateRange, paginate } = require('../shared/pagination');
+const { STATUSES, TransitionError, actorFrom, transition, overrideStatus } = require('./orderStateMachine');
+const { OrderSaga, createOrderSaga } = require('./orderSaga');
+const events = require('./events');
+const { CURRENCY, PricingError, formatMinor, priceItem, priceTip } = require('./pricing');
+const { MINOR_UNITS, toMinor, migrateToMinorUnits } = require('../shared/minorUnits');
+const { Promotion, PromotionError, applyPromotions, applyReward, redeem, release } = require('./promotions');
+const { findReward } = require('../shared/loyalty');
+const { Cart, sameLine } = require('./cart');
+const { FULFILLMENT_TYPES, resolveFulfillment } = require('./fulfillment');
+const { applyTaxes } = require('./tax');
+const { ScheduleError, availability, checkPickupTime, claimSlot, releaseSlot, createReleaser } = require('./schedule');
 
 const app = express();
-app.use(express.json());
+const services = serviceClient(axios);
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 const PORT = process.env.PORT || 3003;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/coffee-orders';
 const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
 const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004';
-const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3005';
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
 
 mongoose.connect(MONGO_URI)
   .then(() => console.log('Order Service: Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Amounts are integer minor units (cents) of `currency`
 const OrderSchema = new mongoose.Schema({
   userId: { type: String, required: true },
+  // The store making the order (a product-service Store id)
+  storeId: String,
   items: [{
     productId: String,
     name: String,
+    category: String,
     quantity: Number,
-    price: Number
+    // Base product price before modifiers
+    basePrice: Number,
+    modifiers: [{
+      _id: false,
+      groupId: String,
+      group: String,
+      optionId: String,
+      option: String,
+      priceDelta: Number
+    }],
+    // Unit price including modifiers
+    price: Number,
+    // Promotions taken off this line in total (all units)
+    discount: { type: Number, default: 0 },
+    // Tax charged on this line in total (all units)
+    tax: { type: Number, default: 0 },
+    refundedQuantity: { type: Number, default: 0 }
   }],
+  currency: { type: String, default: CURRENCY },
+  minorUnits: MINOR_UNITS,
+  // The breakdown: subtotal (the lines before discounts) - discountTotal + taxTotal
+  // + deliveryFee + tip = totalAmount, which is what gets charged
+  subtotal: Number,
+  discountTotal: { type: Number, default: 0 },
+  // One line per tax rule that applied (see tax.js)
+  taxes: [{
+    _id: false,
+    name: String,
+    // Percent
+    rate: Number,
+    taxable: Number,
+    amount: Number
+  }],
+  taxTotal: { type: Number, default: 0 },
+  tip: { type: Number, default: 0 },
   totalAmount: Number,
+  promoCode: String,
+  // Loyalty reward paid for with points; the points are spent by the order saga
+  reward: String,
+  rewardPoints: Number,
+  // One entry per promotion or reward applied, with what it took off each line
+  discounts: [{
+    _id: false,
+    promotionId: String,
+    code: String,
+    name: String,
+    type: { type: String },
+    amount: Number,
+    lines: [{
+      _id: false,
+      itemIndex: Number,
+      name: String,
+      amount: Number
+    }]
+  }],
+  // Set once a cancelled order has given its promotion uses back
+  promotionsReleased: Boolean,
   status: { 
     type: String, 
     default: 'pending',
-    enum: ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled']
+    enum: STATUSES
   },
   paymentStatus: { 
     type: String, 
     default: 'pending',
-    enum: ['pending', 'completed', 'failed', 'refunded']
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded']
+  },
+  refundedAmount: { type: Number, default: 0 },
+  // One entry per refund issued by payment-service
+  refunds: [{
+    _id: false,
+    refundId: String,
+    amount: Number,
+    reason: String,
+    items: [{
+      _id: false,
+      itemId: String,
+      name: String,
+      quantity: Number,
+      amount: Number
+    }],
+    refundedAt: Date
+  }],
+  fulfillmentType: { type: String, enum: FULFILLMENT_TYPES, default: 'pickup' },
+  // Delivery: where to, as given at checkout, and on one line for display
+  address: {
+    line1: String,
+    line2: String,
+    city: String,
+    postcode: String,
+    instructions: String,
+    location: { lat: Number, lng: Number }
   },
   deliveryAddress: String,
+  deliveryFee: { type: Number, default: 0 },
+  // Dine-in
+  tableNumber: Number,
+  // Ordered ahead for pickup at this slot; unset means as soon as possible
+  pickupAt: Date,
+  // Set once a cancelled scheduled order has given its slot back
+  slotReleased: Boolean,
   specialInstructions: String,
+  // Card token from the payment provider's client-side tokenization, never card details
+  paymentToken: String,
+  // Set when payment confirms the order
+  confirmedAt: Date,
+  // When the order reached the kitchen queue, which is worked in this order: on confirmation,
+  // or for scheduled orders once their prep time comes (see schedule.js)
+  releasedAt: Date,
+  // Append-only; only written through orderStateMachine.transition
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    changedBy: String,
+    role: String,
+    reason: String,
+    // Set when an admin forced the change past the normal rules
+    override: Boolean,
+    changedAt: { type: Date, default: Date.now }
+  }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+OrderSchema.index({ status: 1, confirmedAt: 1 });
+OrderSchema.index({ status: 1, pickupAt: 1 });
+OrderSchema.index({ storeId: 1, status: 1, releasedAt: 1 });
+OrderSchema.index({ userId: 1, createdAt: -1 });
+OrderSchema.index({ createdAt: -1 });
+
 const Order = mongoose.model('Order', OrderSchema);
 
+// Orders the kitchen still has to make
+const QUEUE_STATUSES = ['confirmed', 'preparing'];
+
+const orderSaga = createOrderSaga({
+  Order,
+  services,
+  urls: {
+    product: PRODUCT_SERVICE_URL,
+    payment: PAYMENT_SERVICE_URL,
+    user: USER_SERVICE_URL
+  }
+});
+
+// Record the payment outcome on the order and resume its saga
+const applyPaymentStatus = async (orderId, paymentStatus) => {
+  const order = await Order.findByIdAndUpdate(
+    orderId,
+    { paymentStatus, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  
+  if (order) {
+    // Confirm on success, compensate on failure
+    await orderSaga.onPaymentResult(order._id, paymentStatus);
+  }
+  return order;
+};
+
+// Record a full or partial refund once, however often the event is delivered
+const applyRefund = async ({ orderId, refundedAmount, refund }) => {
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+  
+  const refundedQuantities = {};
+  for (const line of refund.items || []) {
+    const index = order.items.findIndex(item => String(item._id) === line.itemId);
+    if (index !== -1) {
+      refundedQuantities[`items.${index}.refundedQuantity`] = line.quantity;
+    }
+  }
+  
+  const update = {
+    updatedAt: new Date(),
+    $max: { refundedAmount },
+    $push: { refunds: refund }
+  };
+  if (Object.keys(refundedQuantities).length) {
+    update.$inc = refundedQuantities;
+  }
+  
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, 'refunds.refundId': { $ne: refund.refundId } },
+    update,
+    { new: true }
+  );
+  if (!updated) return null;
+  
+  // Worked out from the stored total rather than the event, and never moved back from refunded,
+  // so refunds delivered out of order can't leave a fully refunded order partially refunded
+  const paymentStatus = updated.refundedAmount >= updated.totalAmount ? 'refunded' : 'partially_refunded';
+  const settled = await Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: { $ne: 'refunded' } },
+    { paymentStatus },
+    { new: true }
+  );
+  return settled || updated;
+};
+
+const PAYMENT_EVENT_STATUS = {
+  PaymentCompleted: 'completed',
+  PaymentFailed: 'failed'
+};
+
+events.subscribe(Object.keys(PAYMENT_EVENT_STATUS), async (event) => {
+  await applyPaymentStatus(event.payload.orderId, PAYMENT_EVENT_STATUS[event.type]);
+});
+
+events.subscribe('PaymentRefunded', async (event) => {
+  await applyRefund(event.payload);
+});
+
+// Cancelled orders give their promo code and offer uses back
+events.subscribe('OrderStatusChanged', async (event) => {
+  if (event.payload.to !== 'cancelled') return;
+  await events.transaction(async (session) => {
+    const order = await Order.findOneAndUpdate(
+      { _id: event.payload.orderId, 'discounts.0': { $exists: true }, promotionsReleased: { $ne: true } },
+      { promotionsReleased: true },
+      { session }
+    );
+    if (order) {
+      await release(order.discounts, order.userId, session);
+    }
+  });
+});
+
+// Cancelled orders that were paid for get the rest of their payment back; user-service takes
+// back the points the order earned when it sees the refund
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+events.subscribe('OrderStatusChanged', async (event) => {
+  if (event.payload.to !== 'cancelled') return;
+  const order = await Order.findById(event.payload.orderId);
+  if (!order || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return;
+  
+  const paymentFor = async () =>
+    (await services.get(`${PAYMENT_SERVICE_URL}/api/payments/order/${order._id}`)).data;
+  const payment = await paymentFor();
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) return;
+  try {
+    await services.post(`${PAYMENT_SERVICE_URL}/api/payments/${payment._id}/refund`, {
+      reason: event.payload.reason ? `Order cancelled: ${event.payload.reason}` : 'Order cancelled'
+    });
+  } catch (error) {
+    // Refunded in full in the meantime (e.g. by the saga's compensation)
+    if (error.response && error.response.status < 500 && (await paymentFor()).status === 'refunded') return;
+    throw error;
+  }
+});
+
+// Cancelled scheduled orders give their pickup slot back
+events.subscribe('OrderStatusChanged', async (event) => {
+  if (event.payload.to !== 'cancelled') return;
+  await events.transaction(async (session) => {
+    const order = await Order.findOneAndUpdate(
+      { _id: event.payload.orderId, pickupAt: { $ne: null }, slotReleased: { $ne: true } },
+      { slotReleased: true },
+      { session }
+    );
+    if (order) {
+      await releaseSlot(order.storeId, order.pickupAt, session);
+    }
+  });
+});
+
+const releaser = createReleaser(Order);
+
+// Orders and carts saved while amounts were in currency units (see shared/minorUnits.js)
+const migrateAmounts = async () => {
+  await migrateToMinorUnits(Order, (order) => ({
+    items: (order.items || []).map(item => ({
+      ...item,
+      basePrice: toMinor(item.basePrice),
+      price: toMinor(item.price),
+      discount: toMinor(item.discount),
+      modifiers: (item.modifiers || []).map(modifier => ({ ...modifier, priceDelta: toMinor(modifier.priceDelta) }))
+    })),
+    subtotal: toMinor(order.subtotal),
+    discountTotal: toMinor(order.discountTotal),
+    totalAmount: toMinor(order.totalAmount),
+    deliveryFee: toMinor(order.deliveryFee),
+    refundedAmount: toMinor(order.refundedAmount),
+    discounts: (order.discounts || []).map(discount => ({
+      ...discount,
+      amount: toMinor(discount.amount),
+      lines: (discount.lines || []).map(line => ({ ...line, amount: toMinor(line.amount) }))
+    })),
+    refunds: (order.refunds || []).map(refund => ({
+      ...refund,
+      amount: toMinor(refund.amount),
+      items: (refund.items || []).map(line => ({ ...line, amount: toMinor(line.amount) }))
+    }))
+  }));
+  await migrateToMinorUnits(Cart, (cart) => ({
+    items: (cart.items || []).map(item => ({ ...item, price: toMinor(item.price) }))
+  }));
+  await migrateToMinorUnits(Promotion, (promotion) => ({
+    value: promotion.type === 'fixed' ? toMinor(promotion.value) : promotion.value,
+    minSpend: toMinor(promotion.minSpend)
+  }));
+};
+
+mongoose.connection.once('open', () => {
+  migrateAmounts().catch(err => console.error('Amount migration error:', err.message));
+  orderSaga.startSweeper();
+  releaser.startReleaser();
+  events.start().catch(err => console.error('Event bus start error:', err.message));
+});
+
+const { idempotent } = createIdempotency(mongoose);
+
+const sendTransitionError = (res, error) => res.status(error.status).json({ error: error.message });
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'order-service' });
 });
 
+// A product from product-service, as `storeId` sells it; PricingError when it cannot be found
+const fetchProduct = async (productId, storeId) => {
+  try {
+    const response = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${productId}`, {
+      params: storeId && { storeId }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Product fetch error:', error.message);
+    throw new PricingError(`Invalid product: ${productId}`);
+  }
+};
+
+// A store taking orders, from product-service; PricingError otherwise
+const fetchStore = async (storeId) => {
+  if (!storeId) {
+    throw new PricingError('Choose a store');
+  }
+  let store;
+  try {
+    ({ data: store } = await axios.get(`${PRODUCT_SERVICE_URL}/api/stores/${storeId}`));
+  } catch (error) {
+    console.error('Store fetch error:', error.message);
+    throw new PricingError(`Invalid store: ${storeId}`);
+  }
+  if (!store.active) {
+    throw new PricingError(`${store.name} is not taking orders`);
+  }
+  return store;
+};
+
+// The loyalty reward `rewardId`, once the customer has the points for it
+const rewardFor = async (rewardId, userId) => {
+  const reward = findReward(rewardId);
+  if (!reward) {
+    throw new PromotionError(`Unknown reward: ${rewardId}`);
+  }
+  
+  const { data: account } = await services.get(`${USER_SERVICE_URL}/api/users/${userId}/loyalty`);
+  if (account.points < reward.points) {
+    throw new PromotionError(`${reward.name} needs ${reward.points} points; you have ${account.points}`);
+  }
+  return reward;
+};
+
+// One of the customer's saved addresses, from user-service
+const findAddress = async (userId, addressId) => {
+  const { data: user } = await services.get(`${USER_SERVICE_URL}/api/users/${userId}`);
+  return (user.addresses || []).find(address => address._id === String(addressId));
+};
+
+// Subtotal, discounts, tax, delivery fee and tip, and the total they come to
+const breakdown = (pricing, { taxes, taxTotal }, deliveryFee, tip) => ({
+  currency: CURRENCY,
+  subtotal: pricing.subtotal,
+  discounts: pricing.discounts,
+  discountTotal: pricing.discountTotal,
+  taxes,
+  taxTotal,
+  deliveryFee,
+  tip,
+  totalAmount: pricing.subtotal - pricing.discountTotal + taxTotal + deliveryFee + tip
+});
+
+// Price requested items as `store` sells them and apply promotions and the loyalty reward,
+// check how the order is fulfilled, then add tax, the delivery fee and the tip.
+// `fulfillment` is { fulfillmentType, addressId or address, tableNumber }; `tip` is { tip } or
+// { tipPercent } of the discounted subtotal. Amounts are in minor units.
+// Throws PricingError or PromotionError for anything the customer has to fix.
+const priceOrder = async (items, { promoCode, reward, fulfillment = {}, tip = {}, userId, store }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError('Order must contain at least one item');
+  }
+  
+  const orderItems = [];
+  for (const item of items) {
+    const product = await fetchProduct(item.productId, store._id);
+    
+    if (!product.available) {
+      throw new PricingError(`${product.name} is not available`);
+    }
+    
+    orderItems.push(priceItem(product, item));
+  }
+  
+  let pricing = await applyPromotions(orderItems, { code: promoCode, userId, store });
+  if (reward) {
+    pricing = applyReward(pricing, orderItems, await rewardFor(reward, userId));
+  }
+  pricing.itemDiscounts.forEach((discount, i) => { orderItems[i].discount = discount; });
+  
+  const delivery = await resolveFulfillment(fulfillment, addressId => findAddress(userId, addressId), store);
+  const taxes = applyTaxes(orderItems, { store, fulfillmentType: delivery.fulfillmentType });
+  taxes.itemTaxes.forEach((tax, i) => { orderItems[i].tax = tax; });
+  return {
+    items: orderItems,
+    ...delivery,
+    ...breakdown(pricing, taxes, delivery.deliveryFee, priceTip(tip, pricing.totalAmount))
+  };
+};
+
+// Errors the customer can fix by changing the order, sent with their own status
+const isCustomerError = (error) =>
+  error instanceof PricingError || error instanceof PromotionError || error instanceof ScheduleError;
+
+const sendPricingError = (res, error) => res.status(error.status).json({ error: error.message });
+
+// Price a cart without placing it, so the customer sees discounts, tax and fees before paying
+// Body: { storeId, items, promoCode, reward, fulfillmentType, addressId or address, tableNumber,
+// tip or tipPercent }
+app.post('/api/orders/quote', authenticate, async (req, res) => {
+  try {
+    const { storeId, items, promoCode, reward, tip, tipPercent, ...fulfillment } = req.body;
+    const store = await fetchStore(storeId);
+    const quote = await priceOrder(items, {
+      promoCode,
+      reward,
+      fulfillment,
+      tip: { tip, tipPercent },
+      userId: req.user.userId,
+      store
+    });
+    res.json(quote);
+  } catch (error) {
+    if (isCustomerError(error)) {
+      return sendPricingError(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Price and save an order for the logged-in customer, then start its saga.
+// `alsoInTransaction(session)` runs in the order's transaction (e.g. to empty the cart).
+const createOrder = async (req, fields, alsoInTransaction) => {
+  const { items, promoCode, reward, tip, tipPercent, specialInstructions, paymentToken } = fields;
+  const { fulfillmentType, addressId, address, tableNumber, pickupAt: requestedPickup } = fields;
+  const fulfillment = { fulfillmentType, addressId, address, tableNumber };
+  const userId = req.user.userId;
+  
+  // Validate and fetch the store, product details, pricing modifiers, promotions, the reward,
+  // the fulfillment details and tax on the server
+  const store = await fetchStore(fields.storeId);
+  const { items: orderItems, discounts, discountTotal, totalAmount, ...priced } =
+    await priceOrder(items, { promoCode, reward, fulfillment, tip: { tip, tipPercent }, userId, store });
+  const pickupAt = requestedPickup
+    ? await checkPickupTime(store, requestedPickup, priced.fulfillmentType)
+    : undefined;
+  
+  const order = new Order({ 
+    userId, 
+    storeId: String(store._id),
+    items: orderItems, 
+    currency: priced.currency,
+    subtotal: priced.subtotal,
+    discounts,
+    discountTotal,
+    taxes: priced.taxes,
+    taxTotal: priced.taxTotal,
+    tip: priced.tip,
+    totalAmount,
+    promoCode: promoCode && promoCode.trim() ? promoCode.trim().toUpperCase() : undefined,
+    reward: reward || undefined,
+    rewardPoints: reward ? findReward(reward).points : undefined,
+    fulfillmentType: priced.fulfillmentType,
+    address: priced.address,
+    deliveryAddress: priced.deliveryAddress,
+    deliveryFee: priced.deliveryFee,
+    tableNumber: priced.tableNumber,
+    pickupAt,
+    specialInstructions,
+    paymentToken,
+    statusHistory: [{
+      from: null,
+      to: 'pending',
+      changedBy: userId,
+      role: req.user.role,
+      reason: 'Order placed'
+    }]
+  });
+  const saga = await events.transaction(async (session) => {
+    await order.save({ session });
+    await redeem(discounts, userId, session);
+    if (pickupAt) await claimSlot(order.storeId, pickupAt, session);
+    await events.record(events.event('OrderCreated', order._id, {
+      orderId: order._id,
+      userId,
+      storeId: order.storeId,
+      items: orderItems,
+      discountTotal,
+      totalAmount,
+      pickupAt
+    }), session);
+    if (alsoInTransaction) await alsoInTransaction(session);
+    return orderSaga.start(order, session);
+  });
+  
+  // Reserve stock, charge and confirm in the background
+  orderSaga.resume(saga._id);
+  return order;
+};
+
 // Create order
-app.post('/api/orders', async (req, res) => {
-  try {
-    const { userId, items, deliveryAddress, specialInstructions } = req.body;
-    
-    // Validate and fetch product details
-    let totalAmount = 0;
-    const orderItems = [];
-    
-    for (const item of items) {
-      try {
-        const response = await axios.get(`${PRODUCT_SERVICE_URL}/api/products/${item.productId}`);
-        const product = response.data;
-        
-        if (!product.available) {
-          return res.status(400).json({ error: `${product.name} is not available` });
-        }
-        
-        orderItems.push({
-          productId: product._id,
-          name: product.name,
-          quantity: item.quantity,
-          price: product.price
-        });
-        
-        totalAmount += product.price * item.quantity;
-      } catch (error) {
-        console.error('Product fetch error:', error.message);
-        return res.status(400).json({ error: `Invalid product: ${item.productId}` });
+app.post('/api/orders', authenticate, idempotent(), async (req, res) => {
+  try {
+    const order = await createOrder(req, req.body);
+    res.status(201).json(order);
+  } catch (error) {
+    if (isCustomerError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Create order error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// The cart priced against its store's menu as it is now. Lines that can no longer be ordered
+// stay in the cart with a warning and are left out of the totals; a store, promo code,
+// reward, fulfillment choice or pickup time that no longer works is reported in storeError /
+// promoError / rewardError / fulfillmentError / scheduleError instead of failing the read.
+const viewCart = async (cart) => {
+  let store;
+  let storeError;
+  try {
+    store = await fetchStore(cart.storeId);
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+    storeError = error.message;
+  }
+  
+  const lines = [];
+  const orderable = [];
+  for (const item of cart.items) {
+    const selection = item.modifiers.map(({ groupId, optionId }) => ({ groupId, optionId }));
+    const line = {
+      _id: item._id,
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price
+    };
+    try {
+      const product = await fetchProduct(item.productId, store && store._id);
+      if (!product.available) {
+        throw new PricingError(`${product.name} is no longer available`);
       }
+      const priced = priceItem(product, { quantity: item.quantity, modifiers: selection });
+      if (item.price != null && priced.price !== item.price) {
+        line.warning = `${priced.name} is now ${formatMinor(priced.price)} (was ${formatMinor(item.price)})`;
+      }
+      Object.assign(line, priced, {
+        allergens: product.allergens,
+        available: true,
+        lineTotal: priced.price * priced.quantity
+      });
+      orderable.push(priced);
+    } catch (error) {
+      if (!(error instanceof PricingError)) throw error;
+      Object.assign(line, { available: false, warning: error.message });
     }
+    lines.push(line);
+  }
+  
+  const view = {
+    _id: cart._id,
+    storeId: cart.storeId,
+    ...(storeError && { storeError }),
+    items: lines,
+    promoCode: cart.promoCode,
+    reward: cart.reward,
+    fulfillmentType: cart.fulfillmentType,
+    addressId: cart.addressId,
+    tableNumber: cart.tableNumber,
+    pickupAt: cart.pickupAt,
+    tipPercent: cart.tipPercent,
+    updatedAt: cart.updatedAt
+  };
+  if (!orderable.length) {
+    return { ...view, ...breakdown({ subtotal: 0, discounts: [], discountTotal: 0 }, applyTaxes([]), 0, 0) };
+  }
+  
+  let pricing;
+  try {
+    pricing = await applyPromotions(orderable, { code: cart.promoCode, userId: cart.userId, store });
+  } catch (error) {
+    if (!(error instanceof PromotionError)) throw error;
+    view.promoError = error.message;
+    pricing = await applyPromotions(orderable, { userId: cart.userId, store });
+  }
+  if (cart.reward) {
+    try {
+      pricing = applyReward(pricing, orderable, await rewardFor(cart.reward, cart.userId));
+    } catch (error) {
+      if (!(error instanceof PromotionError)) throw error;
+      view.rewardError = error.message;
+    }
+  }
+  
+  pricing.itemDiscounts.forEach((discount, i) => { orderable[i].discount = discount; });
+  
+  let delivery = { fulfillmentType: cart.fulfillmentType, deliveryFee: 0 };
+  try {
+    const { fulfillmentType, addressId, tableNumber } = cart;
+    delivery = await resolveFulfillment(
+      { fulfillmentType, addressId, tableNumber },
+      id => findAddress(cart.userId, id),
+      store
+    );
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+    view.fulfillmentError = error.message;
+  }
+  
+  if (cart.pickupAt && store) {
+    try {
+      await checkPickupTime(store, cart.pickupAt, cart.fulfillmentType);
+    } catch (error) {
+      if (!(error instanceof ScheduleError)) throw error;
+      view.scheduleError = error.message;
+    }
+  }
+  
+  const taxes = applyTaxes(orderable, { store, fulfillmentType: delivery.fulfillmentType });
+  const tip = priceTip({ tip: cart.tip, tipPercent: cart.tipPercent }, pricing.totalAmount);
+  return {
+    ...view,
+    deliveryAddress: delivery.deliveryAddress,
+    ...breakdown(pricing, taxes, delivery.deliveryFee, tip)
+  };
+};
+
+// The customer's cart, created on first use
+const findCart = (userId) =>
+  Cart.findOneAndUpdate({ userId }, { $setOnInsert: { userId } }, { upsert: true, new: true });
+
+const sendCartError = (res, error) => {
+  if (isCustomerError(error)) {
+    return sendPricingError(res, error);
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Get my cart, repriced
+app.get('/api/cart', authenticate, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user.userId }) || new Cart({ userId: req.user.userId });
+    res.json(await viewCart(cart));
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Add a line; the same product with the same options adds to the existing line
+// Body: { productId, quantity, modifiers: [{ groupId, optionId }] } (leave modifiers out for the defaults)
+app.post('/api/cart/items', authenticate, async (req, res) => {
+  try {
+    const { productId, quantity = 1, modifiers } = req.body;
     
-    // Create order
-    const order = new Order({ 
-      userId, 
-      items: orderItems, 
-      totalAmount,
-      deliveryAddress,
-      specialInstructions
+    const cart = await findCart(req.user.userId);
+    const product = await fetchProduct(productId, cart.storeId);
+    if (!product.available) {
+      throw new PricingError(`${product.name} is not available`);
+    }
+    const priced = priceItem(product, { quantity, modifiers });
+    const selection = priced.modifiers.map(({ groupId, optionId }) => ({ groupId, optionId }));
+    
+    const line = cart.items.find(item => sameLine(item, product._id, selection));
+    if (line) {
+      line.quantity += quantity;
+      line.name = priced.name;
+      line.price = priced.price;
+    } else {
+      cart.items.push({
+        productId: String(product._id),
+        name: priced.name,
+        quantity,
+        modifiers: selection,
+        price: priced.price
+      });
+    }
+    cart.updatedAt = new Date();
+    await cart.save();
+    
+    res.status(201).json(await viewCart(cart));
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Change a line's quantity or options
+// Body: { quantity, modifiers }
+app.patch('/api/cart/items/:itemId', authenticate, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user.userId });
+    const line = cart && cart.items.id(req.params.itemId);
+    if (!line) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+    
+    const quantity = req.body.quantity ?? line.quantity;
+    const modifiers = req.body.modifiers ?? line.modifiers.map(({ groupId, optionId }) => ({ groupId, optionId }));
+    const product = await fetchProduct(line.productId, cart.storeId);
+    if (!product.available) {
+      throw new PricingError(`${product.name} is not available`);
+    }
+    const priced = priceItem(product, { quantity, modifiers });
+    
+    line.set({
+      name: priced.name,
+      quantity,
+      modifiers: priced.modifiers.map(({ groupId, optionId }) => ({ groupId, optionId })),
+      price: priced.price
     });
-    await order.save();
+    cart.updatedAt = new Date();
+    await cart.save();
     
-    // Trigger payment service (async)
-    axios.post(`${PAYMENT_SERVICE_URL}/api/payments`, {
-      orderId: order._id,
-      amount: totalAmount,
-      userId
-    }).catch(err => console.error('Payment service error:', err.message));
+    res.json(await viewCart(cart));
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Remove a line
+app.delete('/api/cart/items/:itemId', authenticate, async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user.userId, 'items._id': req.params.itemId },
+      { $pull: { items: { _id: req.params.itemId } }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+    res.json(await viewCart(cart));
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Choose the store, set or clear the promo code and loyalty reward, which are checked before
+// they are kept, choose how the order is fulfilled, which the cart reports on as it changes,
+// and set the tip
+// Body: { storeId }, { promoCode, reward } (null or '' to remove),
+// { fulfillmentType, addressId, tableNumber }, { pickupAt } (null for as soon as possible),
+// { tip } in minor units or { tipPercent } of the discounted subtotal (null for no tip)
+app.patch('/api/cart', authenticate, async (req, res) => {
+  try {
+    const { storeId, promoCode, reward, fulfillmentType, addressId, tableNumber, pickupAt } = req.body;
+    const { tip, tipPercent } = req.body;
+    const cart = await findCart(req.user.userId);
+    if (storeId !== undefined && storeId !== cart.storeId) {
+      // Tables and pickup slots belong to the store
+      cart.set({ storeId: storeId || undefined, tableNumber: undefined, pickupAt: undefined });
+    }
+    if (fulfillmentType !== undefined) cart.fulfillmentType = fulfillmentType;
+    if (addressId !== undefined) cart.addressId = addressId || undefined;
+    if (tableNumber !== undefined) cart.tableNumber = tableNumber || undefined;
+    if (pickupAt !== undefined) cart.pickupAt = pickupAt || undefined;
+    // Only pickup orders are scheduled
+    if (cart.fulfillmentType !== 'pickup') cart.pickupAt = undefined;
+    if (promoCode !== undefined) {
+      cart.promoCode = promoCode && promoCode.trim() ? promoCode.trim().toUpperCase() : undefined;
+    }
+    if (reward !== undefined) cart.reward = reward || undefined;
+    if (tip !== undefined || tipPercent !== undefined) {
+      priceTip({ tip, tipPercent });
+      cart.set({ tip: tip ?? undefined, tipPercent: tipPercent ?? undefined });
+    }
+    
+    const view = await viewCart(cart);
+    const problem = (storeId && view.storeError) || (promoCode && view.promoError)
+      || (reward && view.rewardError) || (pickupAt && view.scheduleError);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    cart.updatedAt = new Date();
+    await cart.save();
+    res.json({ ...view, updatedAt: cart.updatedAt });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Empty the cart
+app.delete('/api/cart', authenticate, async (req, res) => {
+  try {
+    await Cart.deleteOne({ userId: req.user.userId });
+    res.json(await viewCart(new Cart({ userId: req.user.userId })));
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Turn the cart into an order and empty it, in one transaction
+// Body: { specialInstructions, paymentToken }; the store, fulfillment and tip are what was chosen
+// on the cart
+app.post('/api/cart/checkout', authenticate, idempotent(), async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user.userId });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+    
+    const { specialInstructions, paymentToken } = req.body;
+    const order = await createOrder(req, {
+      storeId: cart.storeId,
+      items: cart.items.map(({ productId, quantity, modifiers }) => ({
+        productId,
+        quantity,
+        modifiers: modifiers.map(({ groupId, optionId }) => ({ groupId, optionId }))
+      })),
+      promoCode: cart.promoCode,
+      reward: cart.reward,
+      fulfillmentType: cart.fulfillmentType,
+      addressId: cart.addressId,
+      tableNumber: cart.tableNumber,
+      pickupAt: cart.pickupAt,
+      tip: cart.tip,
+      tipPercent: cart.tipPercent,
+      specialInstructions,
+      paymentToken
+    }, session => Cart.deleteOne({ _id: cart._id }, { session }));
     
     res.status(201).json(order);
   } catch (error) {
-    console.error('Create order error:', error);
+    if (isCustomerError(error)) {
+      return sendPricingError(res, error);
+    }
+    console.error('Checkout error:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all orders
-app.get('/api/orders', async (req, res) => {
+// List promotions (admin)
+app.get('/api/promotions', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const orders = await Order.find().sort('-createdAt');
-    res.json(orders);
+    const promotions = await Promotion.find().sort('-createdAt');
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What admins may set on a promotion; usedCount and the bookkeeping fields are the server's
+const PROMOTION_FIELDS = [
+  'code', 'name', 'description', 'type', 'value', 'buyQuantity', 'getQuantity', 'categories',
+  'productIds', 'minSpend', 'schedule', 'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'active'
+];
+
+const promotionFields = (body) =>
+  Object.fromEntries(PROMOTION_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const sendPromotionError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A promotion with this code already exists' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Create a promotion (admin)
+app.post('/api/promotions', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.create(promotionFields(req.body));
+    res.status(201).json(promotion);
+  } catch (error) {
+    sendPromotionError(res, error);
+  }
+});
+
+// Update a promotion (admin); only the fields sent are changed, and validated as on create
+app.put('/api/promotions/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    
+    promotion.set(promotionFields(req.body));
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    sendPromotionError(res, error);
+  }
+});
+
+// Delete a promotion (admin); orders keep their record of what it took off
+app.delete('/api/promotions/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Filters shared by the order lists: status and paymentStatus (comma separated), from, to
+const ORDER_SORTS = ['createdAt', 'updatedAt', 'totalAmount'];
+
+const orderFilter = ({ status, paymentStatus, from, to }) => {
+  const filter = {};
+  if (status) filter.status = { $in: status.split(',') };
+  if (paymentStatus) filter.paymentStatus = { $in: paymentStatus.split(',') };
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+// Search orders (staff only; baristas see their store's)
+// Query: the order list filters, storeId (admins), userId, orderId (full id or its last
+// characters), sort (createdAt, updatedAt or totalAmount), limit, cursor
+app.get('/api/orders', authenticate, requireRole(...STAFF_ROLES), requireStoreAssignment, async (req, res) => {
+  try {
+    const { userId, orderId } = req.query;
+    const filter = orderFilter(req.query);
+    
+    const storeId = staffStoreId(req);
+    if (storeId) filter.storeId = storeId;
+    if (userId) filter.userId = userId;
+    if (orderId) {
+      const suffix = orderId.trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+      filter.$expr = { $regexMatch: { input: { $toString: '$_id' }, regex: `${suffix}$` } };
+    }
+    
+    const page = await paginate(Order, filter, req.query, { sortable: ORDER_SORTS, select: '-paymentToken' });
+    res.json(page);
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get orders by user
-app.get('/api/orders/user/:userId', async (req, res) => {
+// Kitchen queue: confirmed and preparing orders, longest waiting first (staff).
+// Scheduled orders join it once released for their pickup time. Baristas see their store's
+// queue; admins pick one with ?storeId.
+app.get('/api/orders/queue', authenticate, requireRole(...STAFF_ROLES), requireStoreAssignment, async (req, res) => {
   try {
-    const orders = await Order.find({ userId: req.params.userId }).sort('-createdAt');
+    const storeId = staffStoreId(req);
+    const orders = await Order.find({
+      ...(storeId && { storeId }),
+      status: { $in: QUEUE_STATUSES },
+      $or: [{ pickupAt: null }, { releasedAt: { $ne: null } }, { status: 'preparing' }]
+    })
+      .select('-paymentToken -refunds')
+      .sort({ releasedAt: 1, confirmedAt: 1, createdAt: 1 });
     res.json(orders);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get order by ID
-app.get('/api/orders/:id', async (req, res) => {
+// Pickup slots for ordering ahead at a store, with the places left in each
+// Query: storeId, date (YYYY-MM-DD in the store's time zone, default today)
+app.get('/api/orders/slots', async (req, res) => {
+  try {
+    const store = await fetchStore(req.query.storeId);
+    res.json(await availability(store, req.query.date || undefined));
+  } catch (error) {
+    if (isCustomerError(error)) {
+      return sendPricingError(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get orders by user, newest first
+// Query: the order list filters, sort, limit, cursor
+app.get('/api/orders/user/:userId', authenticate, requireSelfOrRole('userId', ...STAFF_ROLES), async (req, res) => {
+  try {
+    const filter = { ...orderFilter(req.query), userId: req.params.userId };
+    const page = await paginate(Order, filter, req.query, { sortable: ORDER_SORTS, select: '-paymentToken' });
+    res.json(page);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The order's customer, admins, and staff at the store it was placed with
+const canAccessOrder = (user, order) =>
+  canAccess(user, order.userId, 'admin')
+  || (isStaff(user) && !!user.storeId && (!order.storeId || order.storeId === user.storeId));
+
+// Get order by ID (owner, staff at its store or internal service call)
+app.get('/api/orders/:id', serviceOr(authenticate), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    if (!req.service && !canAccessOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     res.json(order);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -139,62 +1084,63 @@ app.get('/api/orders/:id', async (req, res) => {
 });
 
 // Update order status
-app.patch('/api/orders/:id/status', async (req, res) => {
+app.patch('/api/orders/:id/status', authenticate, requireRole(...STAFF_ROLES), requireStoreAssignment, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status, updatedAt: new Date() },
-      { new: true }
-    );
+    const current = await Order.findById(req.params.id);
     
-    if (!order) {
+    if (!current) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    // Baristas work on their own store's orders
+    const storeId = req.user.role !== 'admin' && req.user.storeId;
+    if (storeId && current.storeId && current.storeId !== storeId) {
+      return res.status(403).json({ error: 'This order belongs to another store' });
+    }
     
-    // Send notification (async)
-    axios.post(`${NOTIFICATION_SERVICE_URL}/api/notifications`, {
-      userId: order.userId,
-      message: `Your order #${order._id.toString().slice(-6)} is now ${status}`,
-      type: 'order_update',
-      orderId: order._id
-    }).catch(err => console.error('Notification service error:', err.message));
+    const order = await transition(Order, current, status, actorFrom(req), reason);
     
     res.json(order);
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
     console.error('Update status error:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Update payment status
-app.patch('/api/orders/:id/payment', async (req, res) => {
+// Force a status change past the normal rules (admin only, reason required)
+app.post('/api/orders/:id/status-override', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { paymentStatus } = req.body;
+    const { status, reason } = req.body;
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { paymentStatus, updatedAt: new Date() },
-      { new: true }
-    );
+    const current = await Order.findById(req.params.id);
     
-    if (!order) {
+    if (!current) {
       return res.status(404).json({ error: 'Order not found' });
     }
     
-    // If payment completed, update order status
-    if (paymentStatus === 'completed' && order.status === 'pending') {
-      order.status = 'confirmed';
-      await order.save();
-      
-      // Send notification
-      axios.post(`${NOTIFICATION_SERVICE_URL}/api/notifications`, {
-        userId: order.userId,
-        message: `Payment confirmed for order #${order._id.toString().slice(-6)}`,
-        type: 'payment_success',
-        orderId: order._id
-      }).catch(err => console.error('Notification service error:', err.message));
+    const order = await overrideStatus(Order, current, status, actorFrom(req), reason);
+    
+    res.json(order);
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
+    console.error('Override status error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update payment status (internal service call)
+app.patch('/api/orders/:id/payment', requireService('payment-service'), async (req, res) => {
+  try {
+    const order = await applyPaymentStatus(req.params.id, req.body.paymentStatus);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
     
     res.json(order);
@@ -204,7 +1150,7 @@ app.patch('/api/orders/:id/payment', async (req, res) => {
 });
 
 // Cancel order
-app.post('/api/orders/:id/cancel', async (req, res) => {
+app.post('/api/orders/:id/cancel', authenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
@@ -212,20 +1158,53 @@ app.post('/api/orders/:id/cancel', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
     
-    if (['preparing', 'ready', 'completed'].includes(order.status)) {
-      return res.status(400).json({ error: 'Cannot cancel order in current status' });
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
     
-    order.status = 'cancelled';
-    order.updatedAt = new Date();
-    await order.save();
+    const cancelled = await transition(Order, order, 'cancelled', actorFrom(req), req.body.reason || 'Cancelled on request');
     
-    res.json(order);
+    res.json(cancelled);
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
     res.status(400).json({ error: error.message });
   }
 });
 
+// Get order status history
+app.get('/api/orders/:id/history', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('userId storeId status statusHistory');
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    
+    res.json({ orderId: order._id, status: order.status, history: order.statusHistory });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get order saga progress (staff only)
+app.get('/api/orders/:id/saga', authenticate, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const saga = await OrderSaga.findOne({ orderId: req.params.id });
+    if (!saga) {
+      return res.status(404).json({ error: 'Saga not found' });
+    }
+    res.json(saga);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Order service running on port ${PORT}`);
 });
\ No newline at end of file
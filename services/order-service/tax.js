@@ -0,0 +1,55 @@
+// Sales tax on orders, from the tax rules of the store making them.
+// A rule charges `rate` percent on the lines in its categories (every line when it lists none)
+// for the fulfillment types it lists (all of them when none), so takeaway food, eating in and
+// drinks can each have their own rate. More than one rule can apply to a line (e.g. state and
+// city tax). Tax is charged on what the customer pays for a line after discounts, on top of
+// the menu price. Stores without rules of their own use TAX_RULES, a JSON list of rules.
+// `store` is a store from product-service: { _id, taxRules }.
+const { allocate } = require('./pricing');
+
+const DEFAULT_TAX_RULES = (() => {
+  const rules = JSON.parse(process.env.TAX_RULES || '[]');
+  if (!Array.isArray(rules) || rules.some(rule => !rule.name || !(rule.rate >= 0))) {
+    throw new Error('TAX_RULES must be a list of { name, rate, categories, fulfillmentTypes }');
+  }
+  return rules;
+})();
+
+const rulesFor = (store) => (store && store.taxRules && store.taxRules.length ? store.taxRules : DEFAULT_TAX_RULES);
+
+const appliesTo = (rule, item, fulfillmentType) =>
+  (!rule.categories || !rule.categories.length || rule.categories.includes(item.category))
+  && (!rule.fulfillmentTypes || !rule.fulfillmentTypes.length || rule.fulfillmentTypes.includes(fulfillmentType));
+
+// Tax on priced order items ({ category, price, quantity, discount }, in minor units).
+// Returns the tax lines ({ name, rate, taxable, amount }, one per name and rate that charged
+// anything), their total and the tax on each item, all in minor units.
+const applyTaxes = (items, { store, fulfillmentType = 'pickup' } = {}) => {
+  const itemTaxes = items.map(() => 0);
+  const taxes = [];
+  for (const rule of rulesFor(store)) {
+    const taxable = items.map(item =>
+      (appliesTo(rule, item, fulfillmentType) ? item.price * item.quantity - (item.discount || 0) : 0));
+    const base = taxable.reduce((sum, amount) => sum + amount, 0);
+    const amount = Math.round(base * rule.rate / 100);
+    if (!amount) continue;
+
+    // Kept per item so refunding a line gives its tax back too
+    allocate(amount, taxable).forEach((share, i) => { itemTaxes[i] += share; });
+    const line = taxes.find(tax => tax.name === rule.name && tax.rate === rule.rate);
+    if (line) {
+      line.taxable += base;
+      line.amount += amount;
+    } else {
+      taxes.push({ name: rule.name, rate: rule.rate, taxable: base, amount });
+    }
+  }
+
+  return {
+    taxes,
+    taxTotal: taxes.reduce((sum, tax) => sum + tax.amount, 0),
+    itemTaxes
+  };
+};
+
+module.exports = { DEFAULT_TAX_RULES, applyTaxes };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TransitionError, actorFrom, assertTransition } = require('../orderStateMachine');
+
+const customer = { userId: 'u1', role: 'customer' };
+const barista = { userId: 'b1', role: 'barista' };
+const system = { userId: 'order-service', role: 'system' };
+
+const rejects = (order, to, actor, status) =>
+  assert.throws(() => assertTransition(order, to, actor), (error) =>
+    error instanceof TransitionError && error.status === status);
+
+test('the happy path is allowed for the roles that run it', () => {
+  assert.doesNotThrow(() => assertTransition({ status: 'pending', paymentStatus: 'completed' }, 'confirmed', system));
+  assert.doesNotThrow(() => assertTransition({ status: 'confirmed' }, 'preparing', barista));
+  assert.doesNotThrow(() => assertTransition({ status: 'preparing' }, 'ready', barista));
+  assert.doesNotThrow(() => assertTransition({ status: 'ready' }, 'completed', barista));
+});
+
+test('unknown statuses and skipped steps are rejected with 400', () => {
+  rejects({ status: 'pending' }, 'shipped', system, 400);
+  rejects({ status: 'pending' }, 'ready', barista, 400);
+  rejects({ status: 'completed' }, 'cancelled', system, 400);
+});
+
+test('roles that may not make a change get 403', () => {
+  rejects({ status: 'confirmed' }, 'preparing', customer, 403);
+  rejects({ status: 'preparing' }, 'cancelled', barista, 403);
+});
+
+test('an order cannot be confirmed before it is paid', () => {
+  rejects({ status: 'pending', paymentStatus: 'pending' }, 'confirmed', system, 409);
+});
+
+test('customers can cancel until the order is being made', () => {
+  assert.doesNotThrow(() => assertTransition({ status: 'pending' }, 'cancelled', customer));
+  assert.doesNotThrow(() => assertTransition({ status: 'confirmed' }, 'cancelled', customer));
+  rejects({ status: 'preparing' }, 'cancelled', customer, 403);
+});
+
+test('signed service calls act as the system', () => {
+  assert.deepStrictEqual(actorFrom({ service: 'payment-service' }), { userId: 'payment-service', role: 'system' });
+  assert.deepStrictEqual(actorFrom({ user: { userId: 'u1', role: 'customer' } }), customer);
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PricingError, allocate, resolveModifiers, priceItem, priceTip } = require('../pricing');
+
+const latte = {
+  _id: 'p1',
+  name: 'Latte',
+  category: 'coffee',
+  price: 449,
+  modifierGroups: [
+    {
+      _id: 'size',
+      name: 'Size',
+      required: true,
+      options: [
+        { _id: 'small', name: 'Small', priceDelta: 0, isDefault: true },
+        { _id: 'large', name: 'Large', priceDelta: 100 }
+      ]
+    },
+    {
+      _id: 'syrup',
+      name: 'Syrup',
+      maxSelections: 2,
+      options: [
+        { _id: 'vanilla', name: 'Vanilla', priceDelta: 50 },
+        { _id: 'caramel', name: 'Caramel', priceDelta: 50, available: false },
+        { _id: 'hazelnut', name: 'Hazelnut', priceDelta: 50 }
+      ]
+    }
+  ]
+};
+
+test('allocate splits an amount exactly, by largest remainder', () => {
+  assert.deepStrictEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepStrictEqual(allocate(10, [0, 3, 1]), [0, 8, 2]);
+  assert.deepStrictEqual(allocate(0, [5, 5]), [0, 0]);
+});
+
+test('allocate refuses negative amounts and weights, and nothing to spread over', () => {
+  assert.throws(() => allocate(-1, [1]));
+  assert.throws(() => allocate(10, [1, -1]));
+  assert.throws(() => allocate(10, [0, 0]));
+});
+
+test('without selections every group gets its defaults', () => {
+  const modifiers = resolveModifiers(latte);
+  assert.deepStrictEqual(modifiers.map(m => m.optionId), ['small']);
+});
+
+test('selections replace the defaults', () => {
+  const modifiers = resolveModifiers(latte, [
+    { groupId: 'size', optionId: 'large' },
+    { groupId: 'syrup', optionId: 'vanilla' },
+    { groupId: 'syrup', optionId: 'hazelnut' }
+  ]);
+  assert.deepStrictEqual(modifiers.map(m => m.optionId), ['large', 'vanilla', 'hazelnut']);
+});
+
+test('bad selections are pricing errors', () => {
+  const throwsPricing = (selections) =>
+    assert.throws(() => resolveModifiers(latte, selections), PricingError);
+  throwsPricing('large');
+  throwsPricing([]); // size is required
+  throwsPricing([{ groupId: 'size', optionId: 'huge' }]);
+  throwsPricing([{ groupId: 'milk', optionId: 'oat' }]);
+  throwsPricing([{ groupId: 'size', optionId: 'small' }, { groupId: 'syrup', optionId: 'caramel' }]);
+  throwsPricing([{ groupId: 'size', optionId: 'small' }, { groupId: 'size', optionId: 'large' }]);
+});
+
+test('priceItem adds the modifiers to the menu price', () => {
+  const item = priceItem(latte, {
+    quantity: 2,
+    modifiers: [{ groupId: 'size', optionId: 'large' }, { groupId: 'syrup', optionId: 'vanilla' }]
+  });
+  assert.strictEqual(item.basePrice, 449);
+  assert.strictEqual(item.price, 599);
+  assert.strictEqual(item.quantity, 2);
+});
+
+test('priceItem needs a positive whole quantity', () => {
+  assert.throws(() => priceItem(latte, { quantity: 0 }), PricingError);
+  assert.throws(() => priceItem(latte, { quantity: 1.5 }), PricingError);
+});
+
+test('priceTip takes an amount or a percentage of the base', () => {
+  assert.strictEqual(priceTip(), 0);
+  assert.strictEqual(priceTip({ tip: 150 }, 1000), 150);
+  assert.strictEqual(priceTip({ tipPercent: 15 }, 1099), 165);
+  assert.throws(() => priceTip({ tip: 1.5 }), PricingError);
+  assert.throws(() => priceTip({ tipPercent: 120 }, 1000), PricingError);
+  assert.throws(() => priceTip({ tip: 100, tipPercent: 10 }, 1000), PricingError);
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Promotion, PromotionError, applyPromotions, applyReward } = require('../promotions');
+
+const items = [
+  { productId: 'latte', name: 'Latte', category: 'coffee', price: 450, quantity: 2 },
+  { productId: 'muffin', name: 'Muffin', category: 'food', price: 300, quantity: 1 }
+];
+
+// applyPromotions looks promotions up by code (findOne) or lists the automatic ones (find)
+const withPromotions = (t, automatic, coded = []) => {
+  t.mock.method(Promotion, 'find', () => ({ sort: async () => automatic.map(fields => new Promotion(fields)) }));
+  t.mock.method(Promotion, 'findOne', async ({ code }) => {
+    const fields = coded.find(promotion => promotion.code === code);
+    return fields ? new Promotion(fields) : null;
+  });
+};
+
+test('a percentage off applies to the eligible lines only', async (t) => {
+  withPromotions(t, [{ name: 'Coffee week', type: 'percentage', value: 10, categories: ['coffee'] }]);
+  const pricing = await applyPromotions(items);
+  assert.strictEqual(pricing.subtotal, 1200);
+  assert.strictEqual(pricing.discountTotal, 90);
+  assert.strictEqual(pricing.totalAmount, 1110);
+  assert.deepStrictEqual(pricing.itemDiscounts, [90, 0]);
+});
+
+test('a fixed amount off is in cents and spread over the lines', async (t) => {
+  withPromotions(t, [], [{ code: 'SAVE2', name: '$2 off', type: 'fixed', value: 200 }]);
+  const pricing = await applyPromotions(items, { code: 'save2' });
+  assert.strictEqual(pricing.discountTotal, 200);
+  assert.deepStrictEqual(pricing.itemDiscounts, [150, 50]);
+  assert.strictEqual(pricing.discounts[0].code, 'SAVE2');
+});
+
+test('buy one get one takes the cheapest eligible units off', async (t) => {
+  withPromotions(t, [{ name: 'Two for one', type: 'bogo', value: 100, buyQuantity: 1, getQuantity: 1 }]);
+  const pricing = await applyPromotions(items);
+  assert.deepStrictEqual(pricing.itemDiscounts, [0, 300]);
+});
+
+test('later promotions only discount what earlier ones left', async (t) => {
+  withPromotions(t, [{ name: 'Half price', type: 'percentage', value: 50 }],
+    [{ code: 'BIG', name: '$20 off', type: 'fixed', value: 2000 }]);
+  const pricing = await applyPromotions(items, { code: 'BIG' });
+  assert.strictEqual(pricing.discountTotal, 1200);
+  assert.strictEqual(pricing.totalAmount, 0);
+});
+
+test('a code that cannot be used is a PromotionError', async (t) => {
+  withPromotions(t, [], [
+    { code: 'MIN20', name: 'Spend $20', type: 'fixed', value: 100, minSpend: 2000 },
+    { code: 'OLD', name: 'Expired', type: 'fixed', value: 100, expiresAt: new Date('2020-01-01') }
+  ]);
+  await assert.rejects(applyPromotions(items, { code: 'NOPE' }), PromotionError);
+  await assert.rejects(applyPromotions(items, { code: 'MIN20' }), /minimum spend of \$20\.00/);
+  await assert.rejects(applyPromotions(items, { code: 'OLD' }), /has expired/);
+});
+
+test('happy hours follow the store time zone', async (t) => {
+  const happyHour = { name: 'Happy hour', type: 'percentage', value: 20, schedule: { start: '17:00', end: '19:00' } };
+  withPromotions(t, [happyHour]);
+  // 22:30 UTC is 17:30 in New York and 23:30 in London (standard time)
+  const now = new Date('2026-01-15T22:30:00Z');
+  assert.strictEqual((await applyPromotions(items, { now, store: { timezone: 'America/New_York' } })).discountTotal, 240);
+  assert.strictEqual((await applyPromotions(items, { now, store: { timezone: 'Europe/London' } })).discountTotal, 0);
+});
+
+test('a reward takes the most expensive qualifying unit off after the promotions', async (t) => {
+  withPromotions(t, []);
+  const pricing = applyReward(await applyPromotions(items), items, { name: 'Free coffee', categories: ['coffee'] });
+  assert.strictEqual(pricing.discountTotal, 450);
+  assert.deepStrictEqual(pricing.itemDiscounts, [450, 0]);
+  assert.throws(() => applyReward(pricing, items, { name: 'Free tea', categories: ['tea'] }), PromotionError);
+});
+
+test('fixed amounts and minimum spends must be whole cents', async () => {
+  await assert.rejects(new Promotion({ name: 'Bad', type: 'fixed', value: 1.5 }).validate(), /in cents/);
+  await assert.rejects(new Promotion({ name: 'Bad', type: 'percentage', value: 10, minSpend: 9.99 }).validate(), /in cents/);
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTaxes } = require('../tax');
+
+const store = {
+  _id: 's1',
+  taxRules: [
+    { name: 'State', rate: 6, categories: [], fulfillmentTypes: [] },
+    { name: 'Prepared food', rate: 2, categories: ['food'], fulfillmentTypes: ['dine-in'] }
+  ]
+};
+
+const items = [
+  { category: 'coffee', price: 450, quantity: 2, discount: 100 },
+  { category: 'food', price: 350, quantity: 1 }
+];
+
+test('tax is charged on what is paid for each line after discounts', () => {
+  const { taxes, taxTotal, itemTaxes } = applyTaxes(items, { store });
+  assert.deepStrictEqual(taxes, [{ name: 'State', rate: 6, taxable: 1150, amount: 69 }]);
+  assert.strictEqual(taxTotal, 69);
+  assert.deepStrictEqual(itemTaxes, [48, 21]);
+});
+
+test('rules only apply to their categories and fulfillment types', () => {
+  const { taxes, taxTotal, itemTaxes } = applyTaxes(items, { store, fulfillmentType: 'dine-in' });
+  assert.deepStrictEqual(taxes.map(tax => tax.name), ['State', 'Prepared food']);
+  assert.strictEqual(taxTotal, 69 + 7);
+  assert.deepStrictEqual(itemTaxes, [48, 28]);
+});
+
+test('the item taxes add up to the total', () => {
+  const { taxTotal, itemTaxes } = applyTaxes(
+    [1, 1, 1].map(() => ({ category: 'coffee', price: 333, quantity: 1 })),
+    { store }
+  );
+  assert.strictEqual(itemTaxes.reduce((sum, tax) => sum + tax, 0), taxTotal);
+});
\ No newline at end of file
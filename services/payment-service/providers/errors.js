@@ -0,0 +1,10 @@
+// Provider failures: 400 for bad webhooks and requests, 502 when the provider itself failed
+class PaymentProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = { PaymentProviderError };
@@ -0,0 +1,31 @@
+// Payment provider abstraction.
+//
+// Amounts are integer minor units (cents) of PAYMENT_CURRENCY, as everywhere in payment-service.
+// Every provider implements:
+//   authorize({ paymentId, orderId, amount, currency, paymentToken }) -> { providerPaymentId, status, failureReason }
+//     status is 'pending' (outcome arrives by webhook), 'authorized' or 'declined'
+//   capture(providerPaymentId, amount) -> { status: 'captured' | 'pending', transactionId }
+//   void(providerPaymentId)            -> { status: 'voided' }
+//   refund(providerPaymentId, amount, refundId) -> { refundId, status }
+//     asking again with the same refundId (ours) gives the same refund rather than a second one
+//   verifyWebhook(rawBody, headers)    -> { id, type, providerPaymentId, failureReason }
+//     type is one of 'authorized', 'captured', 'failed', 'voided', 'refunded' (anything else is ignored);
+//     throws a PaymentProviderError with status 400 when the signature does not check out
+const { PaymentProviderError } = require('./errors');
+const { createMockProvider } = require('./mock');
+const { createStripeProvider } = require('./stripe');
+
+const PROVIDERS = {
+  mock: createMockProvider,
+  stripe: createStripeProvider
+};
+
+const createProvider = (name = process.env.PAYMENT_PROVIDER || 'mock', options = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = { PaymentProviderError, createProvider };
@@ -0,0 +1,160 @@
+// Deterministic in-process gateway for local runs and tests.
+//
+// The outcome of an authorization is picked by card token first, then by amount, and is
+// delivered to the webhook endpoint after MOCK_WEBHOOK_DELAY_MS, like a real gateway would.
+// Outcomes:
+//   success            - authorized, then captured on request
+//   decline            - card declined
+//   insufficient_funds - declined for insufficient funds
+//   error              - the authorize call itself fails (provider outage)
+//   timeout            - authorized but no webhook is ever sent
+//
+// Extra rules can be passed in, or set as JSON in MOCK_PAYMENT_OUTCOMES, with amounts written
+// in currency units:
+//   {"tokens": {"tok_flaky": "error"}, "amounts": {"42.00": "decline"}}
+const crypto = require('crypto');
+const axios = require('axios');
+const { PaymentProviderError } = require('./errors');
+
+const DEFAULT_TOKEN_OUTCOMES = {
+  tok_visa: 'success',
+  tok_mastercard: 'success',
+  tok_chargeDeclined: 'decline',
+  tok_insufficientFunds: 'insufficient_funds',
+  tok_processingError: 'error',
+  tok_timeout: 'timeout'
+};
+
+const DEFAULT_AMOUNT_OUTCOMES = {
+  '13.13': 'decline',
+  '66.66': 'insufficient_funds'
+};
+
+const FAILURE_REASONS = {
+  decline: 'Card declined',
+  insufficient_funds: 'Insufficient funds'
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const configuredOutcomes = () => {
+  try {
+    return JSON.parse(process.env.MOCK_PAYMENT_OUTCOMES || '{}');
+  } catch (error) {
+    console.error('Ignoring invalid MOCK_PAYMENT_OUTCOMES:', error.message);
+    return {};
+  }
+};
+
+const createMockProvider = ({
+  outcomes = configuredOutcomes(),
+  webhookUrl = process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3004}/api/payments/webhook`,
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'your-webhook-secret-change-in-production',
+  webhookDelayMs = Number(process.env.MOCK_WEBHOOK_DELAY_MS ?? 1000)
+} = {}) => {
+  const tokens = { ...DEFAULT_TOKEN_OUTCOMES, ...outcomes.tokens };
+  const amounts = { ...DEFAULT_AMOUNT_OUTCOMES, ...outcomes.amounts };
+  const charges = new Map();
+  // Our refund id -> the refund made for it
+  const refunds = new Map();
+
+  const sign = (body) => crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+
+  const outcomeFor = (amount, paymentToken) =>
+    tokens[paymentToken] || amounts[(amount / 100).toFixed(2)] || 'success';
+
+  const findCharge = (providerPaymentId) => {
+    const charge = charges.get(providerPaymentId);
+    if (!charge) {
+      throw new PaymentProviderError(`Unknown mock payment ${providerPaymentId}`, 400);
+    }
+    return charge;
+  };
+
+  const sendWebhook = (type, charge) => {
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      providerPaymentId: charge.id,
+      failureReason: charge.failureReason
+    });
+    setTimeout(() => {
+      axios.post(webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) }
+      }).catch(err => console.error(`Mock webhook ${type} for ${charge.id} failed:`, err.message));
+    }, webhookDelayMs);
+  };
+
+  const authorize = async ({ amount, paymentToken }) => {
+    const outcome = outcomeFor(amount, paymentToken);
+    if (outcome === 'error') {
+      throw new PaymentProviderError('Mock gateway processing error');
+    }
+
+    const charge = {
+      id: `mock_${crypto.randomUUID()}`,
+      amount,
+      status: FAILURE_REASONS[outcome] ? 'declined' : 'authorized',
+      failureReason: FAILURE_REASONS[outcome],
+      refunded: 0
+    };
+    charges.set(charge.id, charge);
+
+    if (outcome !== 'timeout') {
+      sendWebhook(charge.status === 'declined' ? 'failed' : 'authorized', charge);
+    }
+    return { providerPaymentId: charge.id, status: 'pending' };
+  };
+
+  const capture = async (providerPaymentId) => {
+    const charge = findCharge(providerPaymentId);
+    if (charge.status === 'authorized') {
+      charge.status = 'captured';
+    }
+    if (charge.status !== 'captured') {
+      throw new PaymentProviderError(`Cannot capture a ${charge.status} payment`, 400);
+    }
+    return { status: 'captured', transactionId: charge.id };
+  };
+
+  const voidCharge = async (providerPaymentId) => {
+    const charge = findCharge(providerPaymentId);
+    if (charge.status === 'authorized') {
+      charge.status = 'voided';
+    }
+    if (charge.status !== 'voided') {
+      throw new PaymentProviderError(`Cannot void a ${charge.status} payment`, 400);
+    }
+    return { status: 'voided' };
+  };
+
+  const refund = async (providerPaymentId, amount, refundId) => {
+    if (refunds.has(refundId)) {
+      return refunds.get(refundId);
+    }
+    const charge = findCharge(providerPaymentId);
+    const refundAmount = amount ?? charge.amount - charge.refunded;
+    if (charge.status !== 'captured' || charge.refunded + refundAmount > charge.amount) {
+      throw new PaymentProviderError('Refund exceeds the captured amount', 400);
+    }
+    charge.refunded += refundAmount;
+    const result = { refundId: `mock_re_${crypto.randomUUID()}`, status: 'succeeded' };
+    if (refundId) refunds.set(refundId, result);
+    return result;
+  };
+
+  const verifyWebhook = (rawBody = '', headers) => {
+    const signature = headers[SIGNATURE_HEADER] || '';
+    const expected = sign(rawBody);
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new PaymentProviderError('Invalid webhook signature', 400);
+    }
+    return JSON.parse(rawBody);
+  };
+
+  return { name: 'mock', authorize, capture, void: voidCharge, refund, verifyWebhook };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,130 @@
+// Stripe-compatible adapter (PaymentIntents with manual capture).
+// STRIPE_API_BASE can point at a local stub such as stripe-mock instead of api.stripe.com.
+const crypto = require('crypto');
+const axios = require('axios');
+const { PaymentProviderError } = require('./errors');
+
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const WEBHOOK_TYPES = {
+  'payment_intent.amount_capturable_updated': 'authorized',
+  'payment_intent.succeeded': 'captured',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'voided',
+  'charge.refunded': 'refunded'
+};
+
+const createStripeProvider = ({
+  apiBase = process.env.STRIPE_API_BASE || 'https://api.stripe.com',
+  apiKey = process.env.STRIPE_API_KEY || 'sk_test_123',
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test',
+  currency = process.env.PAYMENT_CURRENCY || 'usd'
+} = {}) => {
+  const client = axios.create({
+    baseURL: apiBase,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  // Form-encoded POST; Stripe error bodies become PaymentProviderErrors
+  const post = async (path, params = {}, idempotencyKey) => {
+    try {
+      const { data } = await client.post(path, new URLSearchParams(params).toString(), {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      });
+      return data;
+    } catch (error) {
+      const stripeError = error.response?.data?.error;
+      if (stripeError?.type === 'card_error') {
+        return { declined: true, failureReason: stripeError.message };
+      }
+      const status = error.response && error.response.status < 500 ? 400 : 502;
+      throw new PaymentProviderError(stripeError?.message || error.message, status);
+    }
+  };
+
+  const authorize = async ({ paymentId, orderId, amount, paymentToken = 'pm_card_visa' }) => {
+    const intent = await post('/v1/payment_intents', {
+      amount,
+      currency,
+      payment_method: paymentToken,
+      confirm: 'true',
+      capture_method: 'manual',
+      'metadata[paymentId]': String(paymentId),
+      'metadata[orderId]': String(orderId)
+    }, `authorize-${paymentId}`);
+
+    if (intent.declined) {
+      return { providerPaymentId: null, status: 'declined', failureReason: intent.failureReason };
+    }
+    if (intent.status === 'requires_payment_method') {
+      return {
+        providerPaymentId: intent.id,
+        status: 'declined',
+        failureReason: intent.last_payment_error?.message || 'Card declined'
+      };
+    }
+    return {
+      providerPaymentId: intent.id,
+      status: intent.status === 'requires_capture' ? 'authorized' : 'pending'
+    };
+  };
+
+  const capture = async (providerPaymentId, amount) => {
+    const params = amount === undefined ? {} : { amount_to_capture: amount };
+    const intent = await post(`/v1/payment_intents/${providerPaymentId}/capture`, params, `capture-${providerPaymentId}`);
+    if (intent.declined) {
+      throw new PaymentProviderError(intent.failureReason, 400);
+    }
+    return {
+      status: intent.status === 'succeeded' ? 'captured' : 'pending',
+      transactionId: intent.latest_charge || intent.id
+    };
+  };
+
+  const voidIntent = async (providerPaymentId) => {
+    await post(`/v1/payment_intents/${providerPaymentId}/cancel`, {}, `void-${providerPaymentId}`);
+    return { status: 'voided' };
+  };
+
+  const refund = async (providerPaymentId, amount, refundId) => {
+    const params = { payment_intent: providerPaymentId };
+    if (amount !== undefined) params.amount = amount;
+    const result = await post('/v1/refunds', params, refundId && `refund-${refundId}`);
+    if (result.declined) {
+      throw new PaymentProviderError(result.failureReason, 400);
+    }
+    return { refundId: result.id, status: result.status };
+  };
+
+  // Stripe-Signature: t=<unix seconds>,v1=<hex hmac of "t.body">
+  const verifyWebhook = (rawBody = '', headers) => {
+    const parts = Object.fromEntries(
+      String(headers['stripe-signature'] || '').split(',').map(part => part.split('='))
+    );
+    const timestamp = Number(parts.t);
+    const expected = crypto.createHmac('sha256', webhookSecret).update(`${parts.t}.${rawBody}`).digest('hex');
+    const signature = parts.v1 || '';
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new PaymentProviderError('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody);
+    const object = event.data?.object || {};
+    return {
+      id: event.id,
+      type: WEBHOOK_TYPES[event.type] || event.type,
+      providerPaymentId: object.object === 'charge' ? object.payment_intent : object.id,
+      failureReason: object.last_payment_error?.message
+    };
+  };
+
+  return { name: 'stripe', authorize, capture, void: voidIntent, refund, verifyWebhook };
+};
+
+module.exports = { createStripeProvider };
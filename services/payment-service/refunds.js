@@ -0,0 +1,243 @@
+// Full and partial refunds.
+// A refund is for an amount, for order lines (priced from order-service), or for whatever is
+// left when neither is given. Every refund is kept as its own record; the payment carries the
+// running refundedAmount and becomes partially_refunded until nothing is left.
+// A refund is saved as pending before the provider is asked for it and settled afterwards; the
+// provider call is keyed by the refund's id, so pending refunds left by a crash or a provider
+// outage are asked for again until the provider gives an answer.
+// Amounts are integer minor units (cents), like the payments and the orders they are for.
+const mongoose = require('mongoose');
+const { MINOR_UNITS, inMinorUnits } = require('../shared/minorUnits');
+const { PaymentProviderError } = require('./providers/errors');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+const RETRY_AFTER_MS = 60 * 1000;
+const RETRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const RefundSchema = new mongoose.Schema({
+  paymentId: { type: String, required: true, index: true },
+  orderId: { type: String, required: true },
+  userId: { type: String, required: true },
+  amount: { type: Number, required: true, min: 1, validate: inMinorUnits },
+  reason: String,
+  items: [{
+    _id: false,
+    itemId: String,
+    productId: String,
+    name: String,
+    quantity: Number,
+    amount: Number
+  }],
+  // Who asked for it: a staff user or the service (e.g. order saga compensation)
+  operator: {
+    userId: String,
+    role: String,
+    service: String
+  },
+  // Refunds saved before there were pending ones have no status and succeeded
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'] },
+  providerRefundId: String,
+  failureReason: String,
+  minorUnits: MINOR_UNITS,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Refund = mongoose.model('Refund', RefundSchema);
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+const createRefunds = ({ Payment, events, paymentEvent, provider, services, orderServiceUrl }) => {
+  // Price the requested order lines ([{ itemId, quantity }]); quantity defaults to what is left
+  const priceLines = async (payment, items) => {
+    const { data: order } = await services.get(`${orderServiceUrl}/api/orders/${payment.orderId}`);
+
+    const refunded = new Map();
+    for (const previous of await Refund.find({ paymentId: String(payment._id), status: { $ne: 'failed' } })) {
+      for (const line of previous.items) {
+        refunded.set(line.itemId, (refunded.get(line.itemId) || 0) + line.quantity);
+      }
+    }
+
+    return items.map(({ itemId, quantity }) => {
+      const item = order.items.find(i => String(i._id) === String(itemId));
+      if (!item) {
+        throw new RefundError(`Order has no line ${itemId}`);
+      }
+      const left = item.quantity - (refunded.get(String(item._id)) || 0);
+      const qty = quantity === undefined ? left : Number(quantity);
+      if (!Number.isInteger(qty) || qty < 1 || qty > left) {
+        throw new RefundError(`Can refund at most ${left} ${item.name}`);
+      }
+      refunded.set(String(item._id), (refunded.get(String(item._id)) || 0) + qty);
+      // What the customer paid for the line after promotions, with its tax
+      const paid = item.price * item.quantity - (item.discount || 0) + (item.tax || 0);
+      return {
+        itemId: String(item._id),
+        productId: item.productId,
+        name: item.name,
+        quantity: qty,
+        amount: Math.round(paid * qty / item.quantity)
+      };
+    });
+  };
+
+  const refund = async (paymentId, { amount, items, reason } = {}, operator = {}) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new RefundError('Payment not found', 404);
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new RefundError('Can only refund completed payments');
+    }
+    if (amount !== undefined && items !== undefined) {
+      throw new RefundError('Refund either an amount or items, not both');
+    }
+
+    const remaining = payment.amount - payment.refundedAmount;
+    let lines = [];
+    let refundAmount = remaining;
+    if (items !== undefined) {
+      if (!Array.isArray(items) || !items.length) {
+        throw new RefundError('items must be a non-empty list');
+      }
+      lines = await priceLines(payment, items);
+      refundAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+    } else if (amount !== undefined) {
+      refundAmount = Number(amount);
+    }
+
+    if (!Number.isInteger(refundAmount) || refundAmount < 1 || refundAmount > remaining) {
+      throw new RefundError(`Refund must be between 1 and ${remaining} cents (${formatCents(remaining)})`);
+    }
+
+    // Claim the amount first so concurrent refunds cannot exceed the payment
+    // (payments from before partial refunds have no refundedAmount stored)
+    const refundedAmount = payment.refundedAmount + refundAmount;
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        refundedAmount: payment.refundedAmount || { $in: [0, null] }
+      },
+      { refundedAmount },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new RefundError('Payment changed while refunding, try again', 409);
+    }
+
+    let record;
+    try {
+      record = await Refund.create({
+        paymentId: String(payment._id),
+        orderId: payment.orderId,
+        userId: payment.userId,
+        amount: refundAmount,
+        reason,
+        items: lines,
+        operator,
+        status: 'pending'
+      });
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+      throw error;
+    }
+
+    return complete(record);
+  };
+
+  // Give a declined refund's amount back to the payment
+  const fail = (record, error) => events.transaction(async (session) => {
+    const failed = await Refund.findOneAndUpdate(
+      { _id: record._id, status: 'pending' },
+      { status: 'failed', failureReason: error.message },
+      { session }
+    );
+    if (!failed) return;
+    const payment = await Payment.findByIdAndUpdate(
+      record.paymentId,
+      { $inc: { refundedAmount: -record.amount } },
+      { new: true, session }
+    );
+    if (payment.status === 'refunded') {
+      await Payment.updateOne({ _id: payment._id }, { status: 'partially_refunded' }, { session });
+    }
+  });
+
+  // Mark a refund the provider made as succeeded and record the event; a no-op once settled
+  const settle = (record, providerRefund) => events.transaction(async (session) => {
+    const settled = await Refund.findOneAndUpdate(
+      { _id: record._id, status: 'pending' },
+      { status: 'succeeded', providerRefundId: providerRefund.refundId },
+      { new: true, session }
+    );
+    const payment = await Payment.findById(record.paymentId).session(session);
+    if (!settled) {
+      return { payment, refund: await Refund.findById(record._id).session(session) };
+    }
+
+    const updated = await Payment.findByIdAndUpdate(
+      payment._id,
+      { status: payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded' },
+      { new: true, session }
+    );
+
+    // order-service and notification-service consume the event
+    await events.record(paymentEvent('PaymentRefunded', updated, {
+      refund: {
+        refundId: settled._id,
+        amount: settled.amount,
+        reason: settled.reason,
+        items: settled.toObject().items,
+        refundedAt: settled.createdAt
+      }
+    }), session);
+
+    return { payment: updated, refund: settled };
+  });
+
+  // Ask the provider for a pending refund and settle it. A refusal fails the refund; when the
+  // provider could not be reached it stays pending for the sweeper.
+  const complete = async (record) => {
+    const payment = await Payment.findById(record.paymentId);
+    let providerRefund;
+    try {
+      providerRefund = await provider.refund(payment.providerPaymentId, record.amount, String(record._id));
+    } catch (error) {
+      if (error instanceof PaymentProviderError && error.status < 500) {
+        await fail(record, error);
+      }
+      throw error;
+    }
+    return settle(record, providerRefund);
+  };
+
+  const retryPending = async () => {
+    try {
+      const pending = await Refund.find({
+        status: 'pending',
+        createdAt: { $lte: new Date(Date.now() - RETRY_AFTER_MS) }
+      }).limit(50);
+      for (const record of pending) {
+        await complete(record)
+          .catch(err => console.error(`Retrying refund ${record._id} failed:`, err.message));
+      }
+    } catch (error) {
+      console.error('Pending refund retry error:', error.message);
+    }
+  };
+
+  const startRetrySweeper = () => setInterval(retryPending, RETRY_SWEEP_INTERVAL_MS);
+
+  return { refund, startRetrySweeper };
+};
+
+module.exports = { Refund, RefundError, createRefunds };
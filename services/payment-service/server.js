@@ -2,9 +2,18 @@ const express = require('express');
 const mongoose = require('mongoose');
 const axios = require('axios');
 const cors = require('cors');
+const { STAFF_ROLES, authenticate, requireRole, requireSelfOrRole, canAccess } = require('../shared/auth');
+const { captureRawBody, serviceClient, requireService, serviceOr } = require('../shared/serviceAuth');
+const { createEventBus } = require('../shared/eventBus');
+const { createIdempotency } = require('../shared/idempotency');
+const { PaginationError, dateRange, paginate } = require('../shared/pagination');
+const { MINOR_UNITS, inMinorUnits, toMinor, migrateToMinorUnits } = require('../shared/minorUnits');
+const { createProvider } = require('./providers');
+const { Refund, RefundError, createRefunds } = require('./refunds');
 
 const app = express();
-app.use(express.json());
+const services = serviceClient(axios);
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 const PORT = process.env.PORT || 3004;
@@ -15,88 +24,254 @@ mongoose.connect(MONGO_URI)
   .then(() => console.log('Payment Service: Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Amounts here and throughout the payment API are integer minor units (cents)
 const PaymentSchema = new mongoose.Schema({
   orderId: { type: String, required: true },
   userId: { type: String, required: true },
-  amount: { type: Number, required: true },
+  amount: { type: Number, required: true, min: 1, validate: inMinorUnits },
   status: { 
     type: String, 
     default: 'pending',
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded']
+    enum: ['pending', 'processing', 'completed', 'failed', 'voided', 'partially_refunded', 'refunded']
   },
   paymentMethod: { 
     type: String,
     enum: ['card', 'cash', 'upi', 'wallet']
   },
+  provider: String,
+  providerPaymentId: String,
   transactionId: String,
   failureReason: String,
+  // Sum of all refunds so far, pending ones included
+  refundedAmount: { type: Number, default: 0 },
+  minorUnits: MINOR_UNITS,
+  // Every payment except a failed or voided one blocks another payment for the same order
+  active: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
   completedAt: Date
 });
 
+PaymentSchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+PaymentSchema.index({ provider: 1, providerPaymentId: 1 });
+PaymentSchema.index({ userId: 1, createdAt: -1 });
+PaymentSchema.index({ createdAt: -1 });
+
+const INACTIVE_STATUSES = ['failed', 'voided'];
+
+PaymentSchema.pre('save', function (next) {
+  this.active = !INACTIVE_STATUSES.includes(this.status);
+  next();
+});
+
 const Payment = mongoose.model('Payment', PaymentSchema);
 
+const { idempotent } = createIdempotency(mongoose);
+
+const events = createEventBus({ mongoose, service: 'payment-service' });
+
+// Payments and refunds saved while amounts were in currency units (see shared/minorUnits.js)
+const migrateAmounts = async () => {
+  await migrateToMinorUnits(Payment, (payment) => ({
+    amount: toMinor(payment.amount),
+    refundedAmount: toMinor(payment.refundedAmount)
+  }));
+  await migrateToMinorUnits(Refund, (refund) => ({
+    amount: toMinor(refund.amount),
+    items: (refund.items || []).map(line => ({ ...line, amount: toMinor(line.amount) }))
+  }));
+};
+
+mongoose.connection.once('open', () => {
+  migrateAmounts().catch(err => console.error('Amount migration error:', err.message));
+  events.start().catch(err => console.error('Event bus start error:', err.message));
+  refunds.startRetrySweeper();
+});
+
+const paymentEvent = (type, payment, extra = {}) => events.event(type, payment._id, {
+  paymentId: payment._id,
+  orderId: payment.orderId,
+  userId: payment.userId,
+  amount: payment.amount,
+  status: payment.status,
+  transactionId: payment.transactionId,
+  failureReason: payment.failureReason,
+  refundedAmount: payment.refundedAmount,
+  ...extra
+});
+
+const provider = createProvider();
+
+const refunds = createRefunds({
+  Payment,
+  events,
+  paymentEvent,
+  provider,
+  services,
+  orderServiceUrl: ORDER_SERVICE_URL
+});
+
+const SETTLED_EVENTS = {
+  completed: 'PaymentCompleted',
+  failed: 'PaymentFailed',
+  voided: 'PaymentFailed'
+};
+
+// Move a processing payment to its outcome and record the event; a no-op once settled
+const settle = (payment, status, fields = {}) => events.transaction(async (session) => {
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'processing' },
+    { ...fields, status, active: !INACTIVE_STATUSES.includes(status) },
+    { new: true, session }
+  );
+  if (settled) {
+    // order-service consumes the event to update the order
+    await events.record(paymentEvent(SETTLED_EVENTS[status], settled), session);
+  }
+  return settled;
+});
+
+// Capture an authorized payment; if the provider captures asynchronously its webhook settles it
+const capture = async (payment) => {
+  const result = await provider.capture(payment.providerPaymentId, payment.amount);
+  if (result.status !== 'captured') return payment;
+  return settle(payment, 'completed', { transactionId: result.transactionId, completedAt: new Date() });
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'payment-service' });
 });
 
-// Process payment
-app.post('/api/payments', async (req, res) => {
+// Process payment (internal service call)
+// Body: { orderId, userId, amount } in cents, paymentMethod, paymentToken
+app.post('/api/payments', requireService('order-service'), idempotent(), async (req, res) => {
   try {
-    const { orderId, amount, userId, paymentMethod = 'card' } = req.body;
+    const { orderId, amount, userId, paymentMethod = 'card', paymentToken } = req.body;
     
     const payment = new Payment({
       orderId,
       userId,
       amount,
       paymentMethod,
+      provider: provider.name,
       status: 'processing'
     });
     
+    try {
+      await payment.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await Payment.findOne({ orderId, active: true });
+      return res.status(409).json({ error: 'Order already has an active payment', payment: existing });
+    }
+    
+    let authorization;
+    try {
+      authorization = await provider.authorize({ paymentId: payment._id, orderId, amount, paymentToken });
+    } catch (error) {
+      // Frees the order for another attempt; the caller retries on 5xx
+      payment.status = 'failed';
+      payment.failureReason = error.message;
+      await payment.save();
+      return res.status(error.status || 502).json({ error: error.message });
+    }
+    
+    payment.providerPaymentId = authorization.providerPaymentId;
     await payment.save();
     
-    // Simulate payment processing
-    setTimeout(async () => {
-      try {
-        // Simulate 95% success rate
-        const isSuccess = Math.random() > 0.05;
-        
-        if (isSuccess) {
-          payment.status = 'completed';
-          payment.transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
-          payment.completedAt = new Date();
-        } else {
-          payment.status = 'failed';
-          payment.failureReason = 'Insufficient funds';
-        }
-        
-        await payment.save();
-        
-        // Update order payment status
-        await axios.patch(`${ORDER_SERVICE_URL}/api/orders/${orderId}/payment`, {
-          paymentStatus: payment.status
-        });
-        
-      } catch (error) {
-        console.error('Payment processing error:', error.message);
-      }
-    }, 2000); // 2 second delay to simulate processing
+    let result = payment;
+    if (authorization.status === 'declined') {
+      result = await settle(payment, 'failed', { failureReason: authorization.failureReason || 'Payment declined' });
+    } else if (authorization.status === 'authorized') {
+      result = await capture(payment);
+    }
     
-    res.status(201).json(payment);
+    res.status(201).json(result);
   } catch (error) {
     console.error('Payment creation error:', error);
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Filters shared by the payment lists: status (comma separated), from, to
+const PAYMENT_SORTS = ['createdAt', 'amount'];
+
+const paymentFilter = ({ status, from, to }) => {
+  const filter = {};
+  if (status) filter.status = { $in: status.split(',') };
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+// Look up payments (staff only)
+// Query: the payment list filters, orderId, userId, sort (createdAt or amount), limit, cursor
+app.get('/api/payments', authenticate, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { orderId, userId } = req.query;
+    const filter = paymentFilter(req.query);
+    
+    if (orderId) filter.orderId = orderId;
+    if (userId) filter.userId = userId;
+    
+    const page = await paginate(Payment, filter, req.query, { sortable: PAYMENT_SORTS });
+    res.json(page);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Provider callbacks (public, verified by the provider's signature)
+app.post('/api/payments/webhook', async (req, res) => {
+  let notification;
+  try {
+    notification = provider.verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  
+  try {
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      providerPaymentId: notification.providerPaymentId
+    });
+    
+    // Not stored yet (callback beat the authorize response); the provider retries
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    
+    if (payment.status === 'processing') {
+      if (notification.type === 'authorized') {
+        await capture(payment);
+      } else if (notification.type === 'captured') {
+        await settle(payment, 'completed', { transactionId: payment.providerPaymentId, completedAt: new Date() });
+      } else if (notification.type === 'failed' || notification.type === 'voided') {
+        await settle(payment, 'failed', { failureReason: notification.failureReason || 'Payment failed' });
+      }
+    }
+    
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error.message);
+    res.status(error.status === 400 ? 400 : 500).json({ error: error.message });
   }
 });
 
 // Get payment by order ID
-app.get('/api/payments/order/:orderId', async (req, res) => {
+app.get('/api/payments/order/:orderId', serviceOr(authenticate), async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: req.params.orderId });
+    // The active payment if there is one, otherwise the latest failed attempt
+    const payment = await Payment.findOne({ orderId: req.params.orderId }).sort({ active: -1, createdAt: -1 });
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
+    if (!req.service && !canAccess(req.user, payment.userId, ...STAFF_ROLES)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     res.json(payment);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -104,52 +279,92 @@ app.get('/api/payments/order/:orderId', async (req, res) => {
 });
 
 // Get payment by ID
-app.get('/api/payments/:id', async (req, res) => {
+app.get('/api/payments/:id', authenticate, async (req, res) => {
   try {
     const payment = await Payment.findById(req.params.id);
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
+    if (!canAccess(req.user, payment.userId, ...STAFF_ROLES)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     res.json(payment);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get payments by user
-app.get('/api/payments/user/:userId', async (req, res) => {
+// Get payments by user, newest first
+// Query: the payment list filters, sort, limit, cursor
+app.get('/api/payments/user/:userId', authenticate, requireSelfOrRole('userId', ...STAFF_ROLES), async (req, res) => {
   try {
-    const payments = await Payment.find({ userId: req.params.userId }).sort('-createdAt');
-    res.json(payments);
+    const filter = { ...paymentFilter(req.query), userId: req.params.userId };
+    const page = await paginate(Payment, filter, req.query, { sortable: PAYMENT_SORTS });
+    res.json(page);
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Refund payment
-app.post('/api/payments/:id/refund', async (req, res) => {
+// Refund payment in full or in part (admin or internal service call)
+// Body: { amount } in cents or { items: [{ itemId, quantity }] } or neither for whatever is left, plus reason
+app.post('/api/payments/:id/refund', serviceOr(authenticate, requireRole('admin')), async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
+    const { amount, items, reason } = req.body;
+    const operator = req.service
+      ? { service: req.service }
+      : { userId: req.user.userId, role: req.user.role };
+    
+    const { payment, refund } = await refunds.refund(req.params.id, { amount, items, reason }, operator);
     
+    res.json({ ...payment.toJSON(), refund });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(error.status || 400).json({ error: error.response?.data?.error || error.message });
+  }
+});
+
+// Refunds of a payment
+app.get('/api/payments/:id/refunds', authenticate, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
+    if (!canAccess(req.user, payment.userId, ...STAFF_ROLES)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const paymentRefunds = await Refund.find({ paymentId: String(payment._id) }).sort('createdAt');
+    res.json(paymentRefunds);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Void an authorized but uncaptured payment (admin or internal service call)
+app.post('/api/payments/:id/void', serviceOr(authenticate, requireRole('admin')), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
     
-    if (payment.status !== 'completed') {
-      return res.status(400).json({ error: 'Can only refund completed payments' });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
     }
     
-    payment.status = 'refunded';
-    await payment.save();
+    if (payment.status !== 'processing' || !payment.providerPaymentId) {
+      return res.status(400).json({ error: 'Can only void processing payments' });
+    }
     
-    // Update order
-    await axios.patch(`${ORDER_SERVICE_URL}/api/orders/${payment.orderId}/payment`, {
-      paymentStatus: 'refunded'
-    });
+    await provider.void(payment.providerPaymentId);
+    const voided = await settle(payment, 'voided', { failureReason: req.body.reason || 'Payment voided' });
     
-    res.json(payment);
+    res.json(voided || await Payment.findById(payment._id));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,309 @@
+// Stock levels and per-order reservations.
+// Reserving takes stock off the shelf straight away; committing makes it final once the
+// order is paid, releasing puts it back. Products without a stock level are not tracked.
+// Orders for a store take stock from the product's entry for that store when the store counts
+// its own (see stores.js); otherwise, and for orders not tagged with a store, they take it
+// from the product's own stock level.
+const mongoose = require('mongoose');
+const { storeEntry, isAvailableAt, setStoreEntry } = require('./stores');
+
+const RESERVATION_TTL_MS = Number(process.env.RESERVATION_TTL_MS) || 15 * 60 * 1000;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const ReservationSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  storeId: String,
+  items: [{
+    _id: false,
+    productId: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  // pending while the stock is being taken
+  status: {
+    type: String,
+    default: 'reserved',
+    enum: ['pending', 'reserved', 'committed', 'released']
+  },
+  expiresAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Reservation = mongoose.model('Reservation', ReservationSchema);
+
+class InventoryError extends Error {
+  constructor(message, status = 409, productId) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+    this.productId = productId;
+  }
+}
+
+// Where stock, availability and sold-out live: on the product, or on its entry for a store.
+// `path` prefixes the fields in updates, `match` scopes query conditions to them and `read`
+// gets them from a loaded product. `storeId` is set for a store's own stock.
+const productStock = {
+  path: '',
+  match: (conditions) => conditions,
+  read: (product) => product
+};
+
+const storeStock = (storeId) => ({
+  storeId,
+  path: 'stores.$.',
+  match: (conditions) => ({ stores: { $elemMatch: { storeId, ...conditions } } }),
+  read: (product) => storeEntry(product, storeId) || { stock: null }
+});
+
+// The stock an order at `storeId` sells from: the store's own when it counts it, the product's otherwise
+const stockScope = (product, storeId) => {
+  const entry = storeId && storeEntry(product, storeId);
+  return entry && entry.stock != null ? storeStock(storeId) : productStock;
+};
+
+const createInventory = ({ Product, events, productEvent }) => {
+  const stockEvent = (type, product, scope) => events.event(type, product._id, {
+    productId: product._id,
+    name: product.name,
+    storeId: scope.storeId,
+    stock: scope.read(product).stock,
+    lowStockThreshold: product.lowStockThreshold
+  });
+
+  // Events for a stock change from `before` to the current level, plus auto (un)availability
+  const afterStockChange = async (product, before, session, scope) => {
+    const recorded = [];
+    const level = scope.read(product);
+
+    if (level.stock === 0 && level.available) {
+      product = await Product.findOneAndUpdate(
+        { _id: product._id, ...scope.match({ stock: 0 }) },
+        { [`${scope.path}available`]: false, [`${scope.path}soldOut`]: true },
+        { new: true, session }
+      ) || product;
+      recorded.push(productEvent('ProductAvailabilityChanged', product, scope.storeId));
+    } else if (level.stock > 0 && level.soldOut) {
+      product = await Product.findOneAndUpdate(
+        { _id: product._id, ...scope.match({ soldOut: true }) },
+        { [`${scope.path}available`]: true, [`${scope.path}soldOut`]: false },
+        { new: true, session }
+      ) || product;
+      recorded.push(productEvent('ProductAvailabilityChanged', product, scope.storeId));
+    }
+
+    const threshold = product.lowStockThreshold;
+    if (before > threshold && scope.read(product).stock <= threshold) {
+      recorded.push(stockEvent('StockLow', product, scope));
+    }
+
+    if (recorded.length) {
+      await events.record(recorded, session);
+    }
+    return product;
+  };
+
+  // Units sold, for sorting by popularity: counted on commit, taken back if a committed order is released
+  const countSold = (items, sign) => Product.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.productId },
+      update: { $inc: { soldCount: sign * item.quantity } }
+    }
+  })));
+
+  // Take quantity off one product for an order at a store (or without one);
+  // throws InventoryError when it cannot be sold
+  const takeStock = (productId, quantity, storeId) => events.transaction(async (session) => {
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+      throw new InventoryError(`Product not found: ${productId}`, 404, productId);
+    }
+    if (!isAvailableAt(product, storeId)) {
+      throw new InventoryError(`${product.name} is not available`, 409, productId);
+    }
+    const scope = stockScope(product, storeId);
+    if (scope.read(product).stock == null) {
+      return product;
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, available: true, ...scope.match({ available: true, stock: { $gte: quantity } }) },
+      { $inc: { [`${scope.path}stock`]: -quantity } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new InventoryError(`Not enough ${product.name} in stock`, 409, productId);
+    }
+    return afterStockChange(updated, scope.read(updated).stock + quantity, session, scope);
+  });
+
+  const returnStock = (productId, quantity, storeId) => events.transaction(async (session) => {
+    const product = await Product.findById(productId).session(session);
+    if (!product) return null;
+    const scope = stockScope(product, storeId);
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, ...scope.match({ stock: { $ne: null } }) },
+      { $inc: { [`${scope.path}stock`]: quantity } },
+      { new: true, session }
+    );
+    return updated && afterStockChange(updated, scope.read(updated).stock - quantity, session, scope);
+  });
+
+  const mergeItems = (items) => {
+    const quantities = new Map();
+    for (const { productId, quantity } of items) {
+      const qty = Number(quantity);
+      if (!productId || !Number.isInteger(qty) || qty < 1) {
+        throw new InventoryError('Each item needs a productId and a positive integer quantity', 400);
+      }
+      quantities.set(String(productId), (quantities.get(String(productId)) || 0) + qty);
+    }
+    return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+  };
+
+  // All-or-nothing reservation for an order; repeating it returns the existing reservation
+  // while that still holds stock
+  const reserve = async (orderId, items, storeId) => {
+    const merged = mergeItems(items || []);
+    if (!orderId || !merged.length) {
+      throw new InventoryError('orderId and items are required', 400);
+    }
+
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        orderId,
+        storeId,
+        items: merged,
+        status: 'pending',
+        expiresAt: new Date(Date.now() + RESERVATION_TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await Reservation.findOne({ orderId });
+      if (!existing) {
+        // The first attempt failed and removed its reservation in the meantime
+        throw new InventoryError('Reservation is being retried; try again', 503);
+      }
+      if (existing.status === 'pending') {
+        throw new InventoryError('Reservation is still being made; try again', 503);
+      }
+      if (existing.status === 'released') {
+        throw new InventoryError('Reservation has already been released');
+      }
+      if (existing.status === 'reserved' && existing.expiresAt <= new Date()) {
+        throw new InventoryError('Reservation has expired');
+      }
+      return existing;
+    }
+
+    const taken = [];
+    try {
+      for (const item of merged) {
+        await takeStock(item.productId, item.quantity, storeId);
+        taken.push(item);
+      }
+    } catch (error) {
+      for (const item of taken) {
+        await returnStock(item.productId, item.quantity, storeId)
+          .catch(err => console.error(`Failed to return stock for ${item.productId}:`, err.message));
+      }
+      await Reservation.deleteOne({ _id: reservation._id });
+      throw error;
+    }
+
+    return Reservation.findByIdAndUpdate(
+      reservation._id,
+      { status: 'reserved', updatedAt: new Date() },
+      { new: true }
+    );
+  };
+
+  const commit = async (orderId) => {
+    const reservation = await Reservation.findOneAndUpdate(
+      { orderId, status: 'reserved' },
+      { status: 'committed', expiresAt: null, updatedAt: new Date() },
+      { new: true }
+    );
+    if (reservation) {
+      await countSold(reservation.items, 1);
+      return reservation;
+    }
+
+    const existing = await Reservation.findOne({ orderId });
+    if (!existing) {
+      throw new InventoryError('Reservation not found', 404);
+    }
+    if (existing.status === 'pending') {
+      throw new InventoryError('Reservation is still being made; try again', 503);
+    }
+    if (existing.status === 'released') {
+      throw new InventoryError('Reservation has already been released');
+    }
+    return existing;
+  };
+
+  // Put reserved or committed stock back; safe to call more than once
+  const release = async (orderId) => {
+    const previous = await Reservation.findOneAndUpdate(
+      { orderId, status: { $in: ['reserved', 'committed'] } },
+      { status: 'released', expiresAt: null, updatedAt: new Date() }
+    );
+
+    if (!previous) {
+      const existing = await Reservation.findOne({ orderId });
+      if (!existing) {
+        throw new InventoryError('Reservation not found', 404);
+      }
+      return existing;
+    }
+
+    for (const item of previous.items) {
+      await returnStock(item.productId, item.quantity, previous.storeId);
+    }
+    if (previous.status === 'committed') {
+      await countSold(previous.items, -1);
+    }
+    return Reservation.findById(previous._id);
+  };
+
+  // Set the stock level at a store, or the product's own without one, and optionally the
+  // low-stock threshold, by hand
+  const setStock = (productId, { stock, lowStockThreshold }, storeId) => events.transaction(async (session) => {
+    const scope = storeId ? storeStock(storeId) : productStock;
+    const before = await Product.findById(productId).session(session);
+    if (!before) return null;
+
+    if (lowStockThreshold !== undefined) {
+      await Product.updateOne({ _id: productId }, { lowStockThreshold }, { runValidators: true, session });
+    }
+    const updated = stock === undefined
+      ? await Product.findById(productId).session(session)
+      : storeId
+        ? await setStoreEntry(Product, productId, storeId, { stock }, session)
+        : await Product.findByIdAndUpdate(productId, { stock }, { new: true, runValidators: true, session });
+    if (scope.read(updated).stock == null) return updated;
+
+    const previous = scope.read(before).stock;
+    return afterStockChange(updated, previous == null ? Infinity : previous, session, scope);
+  });
+
+  // Reservations never committed (e.g. the order saga died) give their stock back
+  const releaseExpired = async () => {
+    try {
+      const expired = await Reservation.find({ status: 'reserved', expiresAt: { $lte: new Date() } }).limit(50);
+      for (const reservation of expired) {
+        await release(reservation.orderId);
+        console.log(`Released expired reservation for order ${reservation.orderId}`);
+      }
+    } catch (error) {
+      console.error('Reservation expiry error:', error.message);
+    }
+  };
+
+  const startExpirySweeper = () => setInterval(releaseExpired, EXPIRY_SWEEP_INTERVAL_MS);
+
+  return { reserve, commit, release, setStock, startExpirySweeper };
+};
+
+module.exports = { Reservation, InventoryError, createInventory };
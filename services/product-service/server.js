@@ -1,72 +1,335 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const multer = require('multer');
+const { authenticate, requireRole, requireStoreAssignment, staffStoreId } = require('../shared/auth');
+const { captureRawBody, requireService } = require('../shared/serviceAuth');
+const { createEventBus } = require('../shared/eventBus');
+const { ALLERGENS } = require('../shared/allergens');
+const { MINOR_UNITS, inMinorUnits, toMinor, migrateToMinorUnits } = require('../shared/minorUnits');
+const { InventoryError, createInventory } = require('./inventory');
+const { Store, StoreProductSchema, forStore, setStoreEntry } = require('./stores');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 const PORT = process.env.PORT || 3002;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/coffee-products';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const IMAGE_URL_PREFIX = '/api/products/images';
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const DIETARY_TAGS = ['vegan', 'vegetarian', 'gluten-free', 'dairy-free', 'contains-nuts'];
+// Menu sort options; search results default to relevance, everything else to name
+const PRODUCT_SORTS = {
+  name: { name: 1 },
+  price: { price: 1, name: 1 },
+  '-price': { price: -1, name: 1 },
+  popularity: { soldCount: -1, name: 1 },
+  relevance: { score: { $meta: 'textScore' } }
+};
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Product photos go to UPLOAD_DIR as <productId>-<timestamp>.<ext>; the id is the product's
+// as looked up (see the upload route), never the one from the URL
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) =>
+      cb(null, path.basename(`${req.product._id}-${Date.now()}${IMAGE_TYPES[file.mimetype]}`))
+  }),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => cb(null, Boolean(IMAGE_TYPES[file.mimetype]))
+});
+
+// Remove an uploaded image file; images hosted elsewhere are left alone
+const removeImage = (image) => {
+  if (!image || !image.startsWith(`${IMAGE_URL_PREFIX}/`)) return;
+  fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(image)))
+    .catch(err => console.error('Remove image error:', err.message));
+};
 
 mongoose.connect(MONGO_URI)
   .then(() => console.log('Product Service: Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+const ModifierOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Added to the price, in cents
+  priceDelta: { type: Number, default: 0, validate: inMinorUnits },
+  isDefault: { type: Boolean, default: false },
+  available: { type: Boolean, default: true }
+});
+
+// e.g. Size (required, pick 1), Syrups (optional, pick up to 3)
+const ModifierGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  required: { type: Boolean, default: false },
+  minSelections: { type: Number, min: 0, default: 0 },
+  maxSelections: { type: Number, min: 1, default: 1 },
+  options: {
+    type: [ModifierOptionSchema],
+    validate: [options => options.length > 0, 'A modifier group needs at least one option']
+  }
+});
+
+ModifierGroupSchema.pre('validate', function (next) {
+  const min = Math.max(this.minSelections, this.required ? 1 : 0);
+  if (min > this.maxSelections) {
+    this.invalidate('maxSelections', `${this.name}: maxSelections must be at least ${min}`);
+  }
+  if (this.options.filter(o => o.isDefault).length > this.maxSelections) {
+    this.invalidate('options', `${this.name}: more default options than maxSelections`);
+  }
+  next();
+});
+
+// What a product contains, and may contain through cross-contact in the kitchen
+const AllergenSchema = new mongoose.Schema({
+  contains: [{ type: String, enum: ALLERGENS }],
+  mayContain: [{ type: String, enum: ALLERGENS }],
+  declaredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Nutrition facts for one size: a Size option name, or e.g. 'Regular' for products without sizes.
+// Grams, except sodium and caffeine in milligrams.
+const NutritionSchema = new mongoose.Schema({
+  size: { type: String, required: true },
+  servingSize: String,
+  calories: { type: Number, min: 0, required: true },
+  fat: { type: Number, min: 0 },
+  saturatedFat: { type: Number, min: 0 },
+  carbohydrates: { type: Number, min: 0 },
+  sugars: { type: Number, min: 0 },
+  fiber: { type: Number, min: 0 },
+  protein: { type: Number, min: 0 },
+  sodium: { type: Number, min: 0 },
+  caffeine: { type: Number, min: 0 }
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
-  price: { type: Number, required: true },
+  // In cents
+  price: { type: Number, required: true, min: 0, validate: inMinorUnits },
   category: { type: String, enum: ['coffee', 'tea', 'pastry', 'snack'], required: true },
   image: String,
   available: { type: Boolean, default: true },
+  // null = stock not tracked for this product
+  stock: { type: Number, min: 0, default: null },
+  lowStockThreshold: { type: Number, min: 0, default: 5 },
+  // Set when running out of stock made the product unavailable
+  soldOut: { type: Boolean, default: false },
+  modifierGroups: [ModifierGroupSchema],
   ingredients: [String],
+  // Lowest calories across sizes; follows nutrition when that is given
   calories: Number,
+  // Required before the product can be made available
+  allergens: AllergenSchema,
+  nutrition: [NutritionSchema],
+  // Dietary and allergen labels, e.g. vegan, contains-nuts
+  tags: [{ type: String, enum: DIETARY_TAGS }],
+  // Per-store availability, price and stock (see stores.js)
+  stores: [StoreProductSchema],
+  // Units sold in paid orders, for sorting by popularity
+  soldCount: { type: Number, default: 0 },
+  minorUnits: MINOR_UNITS,
   createdAt: { type: Date, default: Date.now }
 });
 
+ProductSchema.pre('validate', function (next) {
+  if (this.available && !this.allergens) {
+    this.invalidate('allergens', `${this.name}: allergen information is required before it can be made available`);
+  }
+
+  const sizes = this.nutrition.map(n => n.size);
+  if (new Set(sizes).size !== sizes.length) {
+    this.invalidate('nutrition', `${this.name}: nutrition is listed twice for the same size`);
+  }
+  const sizeGroup = this.modifierGroups.find(group => group.name === 'Size');
+  const unknown = sizeGroup && sizes.find(size => !sizeGroup.options.some(o => o.name === size));
+  if (unknown) {
+    this.invalidate('nutrition', `${this.name}: nutrition for unknown size ${unknown}`);
+  }
+
+  if (this.nutrition.length) {
+    this.calories = Math.min(...this.nutrition.map(n => n.calories));
+  }
+  next();
+});
+
+ProductSchema.index(
+  { name: 'text', description: 'text', ingredients: 'text' },
+  { weights: { name: 10, ingredients: 3, description: 1 }, name: 'product_search' }
+);
+ProductSchema.index({ tags: 1 });
+
 const Product = mongoose.model('Product', ProductSchema);
 
+const events = createEventBus({ mongoose, service: 'product-service' });
+
+// Products saved while prices were in currency units (see shared/minorUnits.js)
+const migratePrices = () => migrateToMinorUnits(Product, (product) => ({
+  price: toMinor(product.price),
+  modifierGroups: (product.modifierGroups || []).map(group => ({
+    ...group,
+    options: (group.options || []).map(option => ({ ...option, priceDelta: toMinor(option.priceDelta) }))
+  })),
+  stores: (product.stores || []).map(entry => ({ ...entry, price: toMinor(entry.price) }))
+}));
+
+// With a storeId, the price and availability are the store's
+const productEvent = (type, product, storeId) => {
+  const sold = storeId ? forStore(product, storeId) : product;
+  return events.event(type, product._id, {
+    productId: product._id,
+    name: product.name,
+    category: product.category,
+    ...(storeId && { storeId }),
+    price: sold.price,
+    available: sold.available
+  });
+};
+
+const inventory = createInventory({ Product, events, productEvent });
+
+// Cancelled orders give their stock back
+events.subscribe('OrderStatusChanged', async (event) => {
+  if (event.payload.to !== 'cancelled') return;
+  try {
+    await inventory.release(event.payload.orderId);
+  } catch (error) {
+    if (!(error instanceof InventoryError && error.status === 404)) throw error;
+  }
+});
+
+mongoose.connection.once('open', () => {
+  migratePrices().catch(err => console.error('Price migration error:', err.message));
+  inventory.startExpirySweeper();
+  events.start().catch(err => console.error('Event bus start error:', err.message));
+});
+
+const sendInventoryError = (res, error) =>
+  res.status(error.status).json({ error: error.message, productId: error.productId });
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'product-service' });
 });
 
-// Get all products
+const RANGE_PARAMS = ['minPrice', 'maxPrice', 'minCalories', 'maxCalories'];
+
+// { $gte, $lte } from optional numeric query values, or undefined when neither is set
+const range = (min, max) => {
+  if (!min && !max) return undefined;
+  return { ...(min && { $gte: Number(min) }), ...(max && { $lte: Number(max) }) };
+};
+
+const inRange = (value, { $gte = -Infinity, $lte = Infinity }) => value >= $gte && value <= $lte;
+
+// Get all products, or search the menu
+// Query: storeId (the menu as that store sells it), q (text over name, description and
+// ingredients), category, available, tags (all of, comma separated), excludeTags (none of),
+// excludeAllergens (neither contains nor may contain any of, comma separated), minPrice,
+// maxPrice (cents), minCalories, maxCalories, sort (name, price, -price, popularity, relevance).
+// Price filters and sorting go by the price the store charges, or the menu price without a store.
 app.get('/api/products', async (req, res) => {
   try {
-    const { category, available } = req.query;
+    const { storeId, q, category, available, tags, excludeTags, excludeAllergens } = req.query;
     const filter = {};
     
+    const invalid = RANGE_PARAMS.find(key => req.query[key] && isNaN(Number(req.query[key])));
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a number` });
+    }
+    
+    if (q && q.trim()) filter.$text = { $search: q.trim() };
     if (category) filter.category = category;
-    if (available !== undefined) filter.available = available === 'true';
+    if (available !== undefined) {
+      const offAtStore = { stores: { $elemMatch: { storeId, available: false } } };
+      if (!storeId) filter.available = available === 'true';
+      else if (available === 'true') Object.assign(filter, { available: true, stores: { $not: offAtStore.stores } });
+      else filter.$or = [{ available: false }, offAtStore];
+    }
+    if (tags || excludeTags) {
+      filter.tags = {
+        ...(tags && { $all: tags.split(',') }),
+        ...(excludeTags && { $nin: excludeTags.split(',') })
+      };
+    }
+    if (excludeAllergens) {
+      const allergens = excludeAllergens.split(',');
+      filter['allergens.contains'] = { $nin: allergens };
+      filter['allergens.mayContain'] = { $nin: allergens };
+    }
+    
+    // A store's own prices are only known once they are applied, further down
+    const price = range(req.query.minPrice, req.query.maxPrice);
+    if (price && !storeId) filter.price = price;
+    const calories = range(req.query.minCalories, req.query.maxCalories);
+    if (calories) filter.calories = calories;
     
-    const products = await Product.find(filter).sort('name');
-    res.json(products);
+    const sort = req.query.sort || (filter.$text ? 'relevance' : 'name');
+    if (!PRODUCT_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of ${Object.keys(PRODUCT_SORTS).join(', ')}` });
+    }
+    if (sort === 'relevance' && !filter.$text) {
+      return res.status(400).json({ error: 'Sorting by relevance needs a search query' });
+    }
+    
+    const products = await Product.find(filter, filter.$text && { score: { $meta: 'textScore' } })
+      .sort(PRODUCT_SORTS[sort]);
+    if (!storeId) {
+      return res.json(products);
+    }
+    
+    let menu = products.map(product => forStore(product, storeId));
+    if (price) menu = menu.filter(product => inRange(product.price, price));
+    if (sort === 'price' || sort === '-price') {
+      const direction = sort === 'price' ? 1 : -1;
+      menu.sort((a, b) => direction * (a.price - b.price) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+    res.json(menu);
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Uploaded product images
+app.use(IMAGE_URL_PREFIX, express.static(UPLOAD_DIR, { maxAge: '7d' }));
+
 // Get product by ID
+// Query: storeId (the product as that store sells it)
 app.get('/api/products/:id', async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    res.json(product);
+    res.json(req.query.storeId ? forStore(product, req.query.storeId) : product);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Create product
-app.post('/api/products', async (req, res) => {
+app.post('/api/products', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const product = new Product(req.body);
-    await product.save();
+    await events.transaction(async (session) => {
+      await product.save({ session });
+      await events.record(productEvent('ProductCreated', product), session);
+    });
     res.status(201).json(product);
   } catch (error) {
     console.error('Create product error:', error);
@@ -75,13 +338,18 @@ app.post('/api/products', async (req, res) => {
 });
 
 // Update product
-app.put('/api/products/:id', async (req, res) => {
+app.put('/api/products/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Saved as a document so the schema's publish checks run
+    const product = await events.transaction(async (session) => {
+      const updated = await Product.findById(req.params.id).session(session);
+      if (!updated) return null;
+      
+      updated.set(req.body);
+      await updated.save({ session });
+      await events.record(productEvent('ProductUpdated', updated), session);
+      return updated;
+    });
     
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
@@ -94,26 +362,162 @@ app.put('/api/products/:id', async (req, res) => {
 });
 
 // Delete product
-app.delete('/api/products/:id', async (req, res) => {
+app.delete('/api/products/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await events.transaction(async (session) => {
+      const deleted = await Product.findByIdAndDelete(req.params.id, { session });
+      if (deleted) {
+        await events.record(productEvent('ProductDeleted', deleted), session);
+      }
+      return deleted;
+    });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    removeImage(product.image);
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update product availability
-app.patch('/api/products/:id/availability', async (req, res) => {
+// Upload or replace the product image (multipart field `image`)
+app.post('/api/products/:id/image', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    // Nothing is written for a product that does not exist
+    req.product = mongoose.isValidObjectId(req.params.id) && await Product.findById(req.params.id).select('_id');
+    if (!req.product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  upload.single('image')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        const message = uploadError.code === 'LIMIT_FILE_SIZE'
+          ? `Image must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`
+          : uploadError.message;
+        return res.status(400).json({ error: message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: `Upload an image (${Object.keys(IMAGE_TYPES).join(', ')})` });
+      }
+      
+      const image = `${IMAGE_URL_PREFIX}/${req.file.filename}`;
+      const { previous, product } = await events.transaction(async (session) => {
+        const before = await Product.findByIdAndUpdate(req.product._id, { image }, { session });
+        if (!before) return {};
+        const updated = await Product.findById(req.product._id).session(session);
+        await events.record(productEvent('ProductUpdated', updated), session);
+        return { previous: before.image, product: updated };
+      });
+      
+      if (!product) {
+        removeImage(image);
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      
+      removeImage(previous);
+      res.json(product);
+    } catch (error) {
+      if (req.file) removeImage(`${IMAGE_URL_PREFIX}/${req.file.filename}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// 404s unless the store exists
+const requireStore = async (storeId, res) => {
+  if (!mongoose.isValidObjectId(storeId) || !(await Store.exists({ _id: storeId }))) {
+    res.status(404).json({ error: 'Store not found' });
+    return false;
+  }
+  return true;
+};
+
+// Update product availability, at the staff member's store (admins: storeId in the body,
+// or everywhere without one)
+app.patch('/api/products/:id/availability', authenticate, requireRole('barista', 'admin'), requireStoreAssignment, async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { available: req.body.available },
-      { new: true }
-    );
+    const storeId = staffStoreId(req);
+    if (storeId && !(await requireStore(storeId, res))) return;
+    
+    const product = await events.transaction(async (session) => {
+      if (storeId) {
+        const updated = await setStoreEntry(Product, req.params.id, storeId, {
+          available: req.body.available,
+          soldOut: false
+        }, session);
+        if (updated) {
+          await events.record(productEvent('ProductAvailabilityChanged', updated, storeId), session);
+        }
+        return updated;
+      }
+      
+      const updated = await Product.findById(req.params.id).session(session);
+      if (!updated) return null;
+      
+      updated.set({ available: req.body.available, soldOut: false });
+      await updated.save({ session });
+      await events.record(productEvent('ProductAvailabilityChanged', updated), session);
+      return updated;
+    });
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    res.json(storeId ? forStore(product, storeId) : product);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Set stock level / low-stock threshold, at the staff member's store (admins: storeId in
+// the body, or the product's own stock level without one)
+app.patch('/api/products/:id/stock', authenticate, requireRole('barista', 'admin'), requireStoreAssignment, async (req, res) => {
+  try {
+    const { stock, lowStockThreshold } = req.body;
+    
+    if (stock !== undefined && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+      return res.status(400).json({ error: 'stock must be a non-negative integer or null' });
+    }
+    
+    const storeId = staffStoreId(req);
+    if (storeId && !(await requireStore(storeId, res))) return;
+    
+    const product = await inventory.setStock(req.params.id, { stock, lowStockThreshold }, storeId);
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    res.json(storeId ? forStore(product, storeId) : product);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Set how a store sells a product (admin)
+// Body: { available, price } (price null to go back to the menu price)
+app.put('/api/products/:id/stores/:storeId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!(await requireStore(storeId, res))) return;
+    
+    const fields = {};
+    if (req.body.available !== undefined) Object.assign(fields, { available: Boolean(req.body.available), soldOut: false });
+    if (req.body.price !== undefined) fields.price = req.body.price;
+    
+    const product = await events.transaction(async (session) => {
+      const updated = await setStoreEntry(Product, req.params.id, storeId, fields, session);
+      if (updated) {
+        await events.record(productEvent('ProductUpdated', updated, storeId), session);
+      }
+      return updated;
+    });
     
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
@@ -125,47 +529,220 @@ app.patch('/api/products/:id/availability', async (req, res) => {
   }
 });
 
+// Reserve stock for an order (internal service call)
+app.post('/api/products/reservations', requireService('order-service'), async (req, res) => {
+  try {
+    const { orderId, items, storeId } = req.body;
+    const reservation = await inventory.reserve(orderId, items, storeId);
+    res.status(201).json(reservation);
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return sendInventoryError(res, error);
+    }
+    console.error('Reserve stock error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Commit an order's reservation once it is paid (internal service call)
+app.post('/api/products/reservations/:orderId/commit', requireService('order-service'), async (req, res) => {
+  try {
+    const reservation = await inventory.commit(req.params.orderId);
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return sendInventoryError(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Release an order's reservation back to stock (internal service call)
+app.post('/api/products/reservations/:orderId/release', requireService('order-service'), async (req, res) => {
+  try {
+    const reservation = await inventory.release(req.params.orderId);
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return sendInventoryError(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stores, open ones only unless all=true
+app.get('/api/stores', async (req, res) => {
+  try {
+    const stores = await Store.find(req.query.all === 'true' ? {} : { active: true }).sort('name');
+    res.json(stores);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/stores/:id', async (req, res) => {
+  try {
+    const store = mongoose.isValidObjectId(req.params.id) && await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    res.json(store);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, address, phone, timezone, openingHours, active }
+app.post('/api/stores', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const store = await Store.create(req.body);
+    res.status(201).json(store);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Closing a store is done by setting active: false, so its orders keep their store
+app.put('/api/stores/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const store = mongoose.isValidObjectId(req.params.id)
+      && await Store.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    res.json(store);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Seed initial products (for testing)
-app.post('/api/products/seed', async (req, res) => {
+app.post('/api/products/seed', authenticate, requireRole('admin'), async (req, res) => {
   try {
+    const size = {
+      name: 'Size',
+      required: true,
+      options: [
+        { name: 'Small', priceDelta: 0, isDefault: true },
+        { name: 'Medium', priceDelta: 50 },
+        { name: 'Large', priceDelta: 100 }
+      ]
+    };
+    const milk = {
+      name: 'Milk',
+      options: [
+        { name: 'Whole', priceDelta: 0, isDefault: true },
+        { name: 'Skim', priceDelta: 0 },
+        { name: 'Oat', priceDelta: 60 },
+        { name: 'Almond', priceDelta: 60 }
+      ]
+    };
+    const syrups = {
+      name: 'Syrups',
+      maxSelections: 3,
+      options: [
+        { name: 'Vanilla', priceDelta: 50 },
+        { name: 'Caramel', priceDelta: 50 },
+        { name: 'Hazelnut', priceDelta: 50 }
+      ]
+    };
+    const extraShots = {
+      name: 'Extra Shots',
+      options: [
+        { name: '1 extra shot', priceDelta: 75 },
+        { name: '2 extra shots', priceDelta: 150 }
+      ]
+    };
+    
     const products = [
       {
         name: 'Espresso',
         description: 'Strong and bold coffee shot',
-        price: 2.99,
+        price: 299,
         category: 'coffee',
         available: true,
-        calories: 5
+        modifierGroups: [extraShots],
+        ingredients: ['espresso'],
+        tags: ['vegan', 'gluten-free', 'dairy-free'],
+        allergens: { contains: [], mayContain: ['milk'] },
+        nutrition: [
+          { size: 'Regular', servingSize: '30 ml', calories: 5, fat: 0.1, carbohydrates: 0.5, sugars: 0, protein: 0.3, sodium: 5, caffeine: 63 }
+        ]
       },
       {
         name: 'Cappuccino',
         description: 'Espresso with steamed milk foam',
-        price: 4.99,
+        price: 499,
         category: 'coffee',
         available: true,
-        calories: 120
+        modifierGroups: [size, milk, syrups, extraShots],
+        ingredients: ['espresso', 'milk'],
+        tags: ['vegetarian', 'gluten-free'],
+        allergens: { contains: ['milk'], mayContain: ['soy', 'tree-nuts'] },
+        nutrition: [
+          { size: 'Small', servingSize: '240 ml', calories: 120, fat: 6, saturatedFat: 3.5, carbohydrates: 10, sugars: 9, protein: 7, sodium: 95, caffeine: 63 },
+          { size: 'Medium', servingSize: '355 ml', calories: 160, fat: 8, saturatedFat: 4.5, carbohydrates: 13, sugars: 12, protein: 9, sodium: 125, caffeine: 126 },
+          { size: 'Large', servingSize: '475 ml', calories: 210, fat: 10, saturatedFat: 6, carbohydrates: 17, sugars: 16, protein: 12, sodium: 165, caffeine: 126 }
+        ]
       },
       {
         name: 'Latte',
         description: 'Espresso with steamed milk',
-        price: 4.49,
+        price: 449,
         category: 'coffee',
         available: true,
-        calories: 190
+        modifierGroups: [size, milk, syrups, extraShots],
+        ingredients: ['espresso', 'milk'],
+        tags: ['vegetarian', 'gluten-free'],
+        allergens: { contains: ['milk'], mayContain: ['soy', 'tree-nuts'] },
+        nutrition: [
+          { size: 'Small', servingSize: '240 ml', calories: 190, fat: 7, saturatedFat: 4.5, carbohydrates: 19, sugars: 17, protein: 13, sodium: 170, caffeine: 63 },
+          { size: 'Medium', servingSize: '355 ml', calories: 250, fat: 9, saturatedFat: 6, carbohydrates: 25, sugars: 23, protein: 17, sodium: 220, caffeine: 126 },
+          { size: 'Large', servingSize: '475 ml', calories: 320, fat: 12, saturatedFat: 7, carbohydrates: 32, sugars: 29, protein: 21, sodium: 280, caffeine: 126 }
+        ]
       },
       {
         name: 'Croissant',
         description: 'Fresh buttery croissant',
-        price: 3.49,
+        price: 349,
         category: 'pastry',
         available: true,
-        calories: 231
+        stock: 24,
+        lowStockThreshold: 5,
+        ingredients: ['flour', 'butter', 'milk', 'eggs', 'yeast'],
+        tags: ['vegetarian'],
+        allergens: { contains: ['milk', 'eggs', 'wheat'], mayContain: ['tree-nuts', 'sesame'] },
+        nutrition: [
+          { size: 'Regular', servingSize: '57 g', calories: 231, fat: 12, saturatedFat: 6.6, carbohydrates: 26, sugars: 6.4, fiber: 1.5, protein: 4.7, sodium: 267 }
+        ]
       }
     ];
     
-    await Product.deleteMany({});
-    await Product.insertMany(products);
-    res.json({ message: 'Products seeded successfully', count: products.length });
+    // Orders need a store; add one if there are none yet
+    if (!(await Store.exists({}))) {
+      await Store.create({
+        name: 'Main Street',
+        address: { line1: '1 Main Street', city: 'San Francisco', postcode: '94103', location: { lat: 37.7749, lng: -122.4194 } },
+        timezone: 'America/Los_Angeles',
+        // Drinks are taxed; food only when eaten in
+        taxRules: [
+          { name: 'Sales tax', rate: 8.625, categories: ['coffee', 'tea'] },
+          { name: 'Sales tax', rate: 8.625, categories: ['pastry', 'snack'], fulfillmentTypes: ['dine-in'] }
+        ]
+      });
+    }
+    
+    // Only add what is missing; products edited through the admin console are kept
+    const existing = await Product.find({ name: { $in: products.map(p => p.name) } }).distinct('name');
+    const missing = products.filter(p => !existing.includes(p.name));
+    
+    await events.transaction(async (session) => {
+      const created = await Product.insertMany(missing, { session });
+      if (created.length) {
+        await events.record(created.map(product => productEvent('ProductCreated', product)), session);
+      }
+    });
+    res.json({ message: 'Products seeded successfully', count: missing.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
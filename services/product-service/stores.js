@@ -0,0 +1,106 @@
+// Shops the menu is sold from, each with its own address, opening hours and time zone.
+// Products carry an entry per store that has switched them off, priced them differently
+// or counts their stock; without an entry a store sells the product as the menu has it, from
+// the product's own stock level.
+// Each store also has the tax rules order-service charges on its orders.
+const mongoose = require('mongoose');
+const { DEFAULT_OPENING_HOURS, parseOpeningHours } = require('../shared/openingHours');
+const { isValidTimeZone } = require('../shared/timeOfDay');
+const { inMinorUnits } = require('../shared/minorUnits');
+
+const hasValidHours = (spec) => {
+  try {
+    parseOpeningHours(spec);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// `rate` percent on the categories listed (all when none) for the fulfillment types listed
+// (all when none), e.g. a lower rate on takeaway food than when eating in
+const TaxRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  categories: [String],
+  fulfillmentTypes: [{ type: String, enum: ['pickup', 'delivery', 'dine-in'] }]
+}, { _id: false });
+
+const Store = mongoose.model('Store', new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  address: {
+    line1: String,
+    line2: String,
+    city: String,
+    postcode: String,
+    // Used for the delivery radius
+    location: { lat: Number, lng: Number }
+  },
+  phone: String,
+  timezone: { type: String, default: 'UTC', validate: [isValidTimeZone, 'Unknown time zone'] },
+  // e.g. "Mon-Fri 07:00-19:00, Sat-Sun 08:00-17:00" in the store's time zone
+  openingHours: {
+    type: String,
+    default: DEFAULT_OPENING_HOURS,
+    validate: [hasValidHours, 'Opening hours look like "Mon-Fri 07:00-19:00, Sat 08:00-17:00"']
+  },
+  // None means order-service's default rules (TAX_RULES)
+  taxRules: [TaxRuleSchema],
+  // Closed stores keep their history but take no orders
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}));
+
+// How one store sells a product
+const StoreProductSchema = new mongoose.Schema({
+  storeId: { type: String, required: true },
+  available: { type: Boolean, default: true },
+  // Set when running out of stock at this store made the product unavailable there
+  soldOut: { type: Boolean, default: false },
+  // Replaces the menu price at this store when set, in cents
+  price: { type: Number, min: 0, validate: inMinorUnits },
+  // null = the store sells from the product's own stock level
+  stock: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+const storeEntry = (product, storeId) =>
+  (product.stores || []).find(entry => entry.storeId === String(storeId));
+
+// Products are off everywhere when switched off on the menu, and off at a store when
+// switched off there
+const isAvailableAt = (product, storeId) => {
+  const entry = storeId && storeEntry(product, storeId);
+  return product.available && (!entry || entry.available);
+};
+
+// The product as a store sells it: its availability, price and stock there
+const forStore = (product, storeId) => {
+  const { stores, ...view } = product.toJSON();
+  const entry = storeEntry(product, storeId);
+  const counted = entry && entry.stock != null ? entry : product;
+  return {
+    ...view,
+    storeId,
+    available: isAvailableAt(product, storeId),
+    soldOut: Boolean(counted.soldOut),
+    price: entry && entry.price != null ? entry.price : product.price,
+    stock: counted.stock
+  };
+};
+
+// Set fields on a product's entry for a store, adding the entry when there is none
+const setStoreEntry = async (Product, productId, storeId, fields, session) => {
+  const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`stores.$.${key}`, value]));
+  const options = { new: true, runValidators: true, session };
+
+  const updated = await Product.findOneAndUpdate({ _id: productId, 'stores.storeId': storeId }, { $set }, options)
+    || await Product.findOneAndUpdate(
+      { _id: productId, 'stores.storeId': { $ne: storeId } },
+      { $push: { stores: { storeId, ...fields } } },
+      options
+    );
+  // Someone else added the entry in between
+  return updated || Product.findOneAndUpdate({ _id: productId, 'stores.storeId': storeId }, { $set }, options);
+};
+
+module.exports = { Store, StoreProductSchema, storeEntry, isAvailableAt, forStore, setStoreEntry };
\ No newline at end of file
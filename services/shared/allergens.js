@@ -0,0 +1,15 @@
+// The major food allergens, shared by product-service (what a product declares)
+// and user-service (what a customer has to avoid).
+const ALLERGENS = [
+  'milk',
+  'eggs',
+  'fish',
+  'shellfish',
+  'tree-nuts',
+  'peanuts',
+  'wheat',
+  'soy',
+  'sesame'
+];
+
+module.exports = { ALLERGENS };
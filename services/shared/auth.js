@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const ROLES = ['customer', 'barista', 'admin'];
+const STAFF_ROLES = ['barista', 'admin'];
+
+// Verify the bearer token issued by user-service and attach its claims as req.user
+const authenticate = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    req.user = {
+      userId: String(decoded.userId),
+      role: ROLES.includes(decoded.role) ? decoded.role : 'customer',
+      email: decoded.email,
+      // Staff work at one store
+      storeId: decoded.storeId ? String(decoded.storeId) : undefined
+    };
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+};
+
+// Allow only the listed roles (use after authenticate)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+};
+
+// Allow the user named in req.params[param], or any of the listed roles
+const requireSelfOrRole = (param, ...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (req.user.userId === String(req.params[param]) || roles.includes(req.user.role)) {
+    return next();
+  }
+  res.status(403).json({ error: 'Forbidden' });
+};
+
+// For checks that need the loaded document, e.g. order.userId
+const canAccess = (user, ownerId, ...roles) =>
+  !!user && (user.userId === String(ownerId) || roles.includes(user.role));
+
+const isStaff = (user) => !!user && STAFF_ROLES.includes(user.role);
+
+// Staff other than admins only work at their own store; one not assigned to a store yet
+// cannot use the store's routes (use after requireRole)
+const requireStoreAssignment = (req, res, next) => {
+  if (req.user.role !== 'admin' && !req.user.storeId) {
+    return res.status(403).json({ error: 'You are not assigned to a store' });
+  }
+  next();
+};
+
+// The store a staff request is about: a barista's own store; for admins the storeId in the
+// query or body, if any. Undefined means every store (admins only, see requireStoreAssignment).
+const staffStoreId = (req) => {
+  if (req.user.role !== 'admin') return req.user.storeId;
+  const storeId = req.query.storeId || (req.body && req.body.storeId);
+  return storeId ? String(storeId) : undefined;
+};
+
+module.exports = {
+  JWT_SECRET,
+  ROLES,
+  STAFF_ROLES,
+  authenticate,
+  requireRole,
+  requireSelfOrRole,
+  canAccess,
+  isStaff,
+  requireStoreAssignment,
+  staffStoreId
+};
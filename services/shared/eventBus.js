@@ -0,0 +1,298 @@
+// Transactional outbox + event bus.
+//
+// Services record domain events in their own `outboxevents` collection inside the same
+// transaction as the state change. A relay publishes them to the transport and marks
+// them published; consumers get at-least-once delivery, so handlers must be idempotent.
+//
+// Transports:
+//   memory - handlers in this process only (single-process runs); EVENT_BUS_TRANSPORT=memory
+//   mongo  - shared bus database (EVENT_BUS_URI); each consumer gets its own inbox
+// There is no default: services on the memory transport cannot hear each other, so a service
+// started without either setting refuses to start rather than lose its events.
+const crypto = require('crypto');
+
+const RELAY_INTERVAL_MS = Number(process.env.EVENT_RELAY_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = Number(process.env.EVENT_MAX_ATTEMPTS) || 10;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const LOCK_MS = 30 * 1000;
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const BATCH_SIZE = 50;
+
+const backoff = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const isDuplicateKey = (error) =>
+  error.code === 11000 || (error.writeErrors || []).every(e => e.code === 11000);
+
+// Standalone mongod cannot run transactions; fall back to plain writes there
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+const createMemoryTransport = () => {
+  const handlers = new Map();
+
+  return {
+    name: 'memory',
+    publish: async (event) => {
+      for (const handler of handlers.get(event.type) || []) {
+        await handler(event);
+      }
+    },
+    subscribe: (type, handler) => {
+      handlers.set(type, [...(handlers.get(type) || []), handler]);
+    },
+    start: () => {}
+  };
+};
+
+const createMongoTransport = ({ mongoose, uri, consumer }) => {
+  const connection = mongoose.createConnection(uri);
+  connection.on('error', err => console.error('Event bus connection error:', err.message));
+
+  const BusEvent = connection.model('BusEvent', new mongoose.Schema({
+    eventId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    source: String,
+    aggregateId: String,
+    payload: mongoose.Schema.Types.Mixed,
+    occurredAt: Date,
+    // No consumer had subscribed to the type yet; consumers subscribing to it later get it
+    unclaimed: Boolean,
+    publishedAt: { type: Date, default: Date.now, expires: RETENTION_SECONDS }
+  }).index({ type: 1, unclaimed: 1 }));
+
+  const BusSubscription = connection.model('BusSubscription', new mongoose.Schema({
+    consumer: { type: String, required: true },
+    type: { type: String, required: true }
+  }).index({ consumer: 1, type: 1 }, { unique: true }));
+
+  const BusDelivery = connection.model('BusDelivery', new mongoose.Schema({
+    consumer: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: String,
+    source: String,
+    aggregateId: String,
+    payload: mongoose.Schema.Types.Mixed,
+    occurredAt: Date,
+    status: { type: String, default: 'pending', enum: ['pending', 'delivered', 'dead'] },
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: () => new Date(0) },
+    deliveredAt: { type: Date, expires: RETENTION_SECONDS }
+  })
+    .index({ consumer: 1, eventId: 1 }, { unique: true })
+    .index({ consumer: 1, status: 1, nextAttemptAt: 1 }));
+
+  const handlers = new Map();
+  let polling = false;
+
+  const addDeliveries = async (deliveries) => {
+    try {
+      await BusDelivery.insertMany(deliveries, { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+  };
+
+  // Fan the event out to every subscribed consumer's inbox; safe to repeat. The event is saved
+  // before the subscriptions are read and consumers subscribe before reading unclaimed events,
+  // so an event published while a consumer subscribes reaches it one way or the other.
+  const publish = async (event) => {
+    try {
+      await BusEvent.create({ ...event, unclaimed: true });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+
+    const subscriptions = await BusSubscription.find({ type: event.type });
+    if (!subscriptions.length) return;
+
+    await addDeliveries(subscriptions.map(s => ({ ...event, consumer: s.consumer })));
+    await BusEvent.updateOne({ eventId: event.eventId }, { $unset: { unclaimed: 1 } });
+  };
+
+  // A consumer subscribing to a type for the first time gets the events nobody was subscribed to
+  const subscribeConsumer = async (type) => {
+    const { upsertedCount } = await BusSubscription.updateOne({ consumer, type }, { consumer, type }, { upsert: true });
+    if (!upsertedCount) return;
+
+    const unclaimed = await BusEvent.find({ type, unclaimed: true }).lean();
+    if (!unclaimed.length) return;
+    await addDeliveries(unclaimed.map(({ eventId, source, aggregateId, payload, occurredAt }) =>
+      ({ eventId, type, source, aggregateId, payload, occurredAt, consumer })));
+    console.log(`${consumer}: picked up ${unclaimed.length} ${type} events published before it subscribed`);
+  };
+
+  const deliver = async (delivery) => {
+    try {
+      for (const handler of handlers.get(delivery.type) || []) {
+        await handler(delivery.toObject());
+      }
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+    } catch (error) {
+      delivery.attempts += 1;
+      delivery.lastError = error.message;
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'dead';
+        console.error(`Event ${delivery.type} ${delivery.eventId} moved to dead letter:`, error.message);
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts));
+      }
+    }
+    delivery.lockedUntil = new Date(0);
+    await delivery.save();
+  };
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const now = new Date();
+        const delivery = await BusDelivery.findOneAndUpdate(
+          { consumer, status: 'pending', nextAttemptAt: { $lte: now }, lockedUntil: { $lte: now } },
+          { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+          { sort: { occurredAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+        await deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Event bus poll error:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    publish,
+    subscribe: (type, handler) => {
+      handlers.set(type, [...(handlers.get(type) || []), handler]);
+    },
+    start: async () => {
+      await Promise.all([...handlers.keys()].map(subscribeConsumer));
+      setInterval(poll, RELAY_INTERVAL_MS);
+    },
+    BusDelivery
+  };
+};
+
+const createEventBus = ({
+  mongoose,
+  service,
+  transport = process.env.EVENT_BUS_TRANSPORT || (process.env.EVENT_BUS_URI ? 'mongo' : undefined),
+  uri = process.env.EVENT_BUS_URI
+}) => {
+  if (!['memory', 'mongo'].includes(transport) || (transport === 'mongo' && !uri)) {
+    throw new Error(`${service}: set EVENT_BUS_URI to the shared bus database (or EVENT_BUS_TRANSPORT=memory when everything runs in one process)`);
+  }
+
+  const OutboxEvent = mongoose.model('OutboxEvent', new mongoose.Schema({
+    eventId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    source: String,
+    aggregateId: String,
+    payload: mongoose.Schema.Types.Mixed,
+    occurredAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: () => new Date(0) },
+    publishedAt: { type: Date, default: null, expires: RETENTION_SECONDS }
+  }).index({ publishedAt: 1, nextAttemptAt: 1 }));
+
+  const bus = transport === 'mongo'
+    ? createMongoTransport({ mongoose, uri, consumer: service })
+    : createMemoryTransport();
+
+  let relaying = false;
+  let transactionsSupported = true;
+
+  // Build an event; payload values are serialised as plain JSON
+  const event = (type, aggregateId, payload = {}) => ({
+    eventId: crypto.randomUUID(),
+    type,
+    source: service,
+    aggregateId: aggregateId && aggregateId.toString(),
+    payload: JSON.parse(JSON.stringify(payload)),
+    occurredAt: new Date()
+  });
+
+  // Add events to the outbox; pass the session of the surrounding transaction
+  const record = (events, session) =>
+    OutboxEvent.insertMany([].concat(events), session ? { session } : {});
+
+  // Run fn(session) atomically with the outbox writes it records, then kick the relay
+  const transaction = async (fn) => {
+    let result;
+    if (transactionsSupported) {
+      try {
+        await mongoose.connection.transaction(async (session) => {
+          result = await fn(session);
+        });
+      } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+        console.warn(`${service}: MongoDB transactions unavailable (standalone server); outbox writes are not atomic`);
+        transactionsSupported = false;
+      }
+    }
+    if (!transactionsSupported) {
+      result = await fn(undefined);
+    }
+    setImmediate(relay);
+    return result;
+  };
+
+  const relay = async () => {
+    if (relaying || mongoose.connection.readyState !== 1) return;
+    relaying = true;
+    try {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const now = new Date();
+        const pending = await OutboxEvent.findOneAndUpdate(
+          { publishedAt: null, nextAttemptAt: { $lte: now }, lockedUntil: { $lte: now } },
+          { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+          { sort: { occurredAt: 1 }, new: true }
+        );
+        if (!pending) break;
+
+        const { eventId, type, source, aggregateId, payload, occurredAt } = pending;
+        try {
+          await bus.publish({ eventId, type, source, aggregateId, payload, occurredAt });
+          pending.publishedAt = new Date();
+        } catch (error) {
+          pending.attempts += 1;
+          pending.lastError = error.message;
+          pending.nextAttemptAt = new Date(Date.now() + backoff(pending.attempts));
+          console.error(`Event relay error (${type} ${eventId}):`, error.message);
+        }
+        pending.lockedUntil = new Date(0);
+        await pending.save();
+      }
+    } catch (error) {
+      console.error('Event relay error:', error.message);
+    } finally {
+      relaying = false;
+    }
+  };
+
+  // Register a handler for one or more event types (before start)
+  const subscribe = (types, handler) => {
+    for (const type of [].concat(types)) {
+      bus.subscribe(type, handler);
+    }
+  };
+
+  const start = async () => {
+    await bus.start();
+    setInterval(relay, RELAY_INTERVAL_MS);
+    console.log(`${service}: event bus started (${bus.name} transport)`);
+  };
+
+  return { OutboxEvent, event, record, transaction, subscribe, start, transport: bus };
+};
+
+module.exports = { createEventBus };
@@ -0,0 +1,79 @@
+// Idempotency-Key support: the first response for a key is stored and replayed for retries.
+// Keys are scoped to the caller (user or service) and route, and expire after a day.
+const crypto = require('crypto');
+
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) =>
+  crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+const createIdempotency = (mongoose) => {
+  const IdempotencyKey = mongoose.model('IdempotencyKey', new mongoose.Schema({
+    scope: { type: String, required: true },
+    key: { type: String, required: true },
+    requestHash: String,
+    status: { type: String, default: 'in_progress', enum: ['in_progress', 'completed'] },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now, expires: KEY_TTL_SECONDS }
+  }).index({ scope: 1, key: 1 }, { unique: true }));
+
+  // Use after authentication so the caller is known
+  const idempotent = () => async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: 'Idempotency-Key is too long' });
+    }
+
+    const caller = req.user ? `user:${req.user.userId}` : `service:${req.service || 'anonymous'}`;
+    const scope = `${caller} ${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+
+    try {
+      await IdempotencyKey.create({ scope, key, requestHash });
+    } catch (error) {
+      if (error.code !== 11000) return next(error);
+
+      let existing;
+      try {
+        existing = await IdempotencyKey.findOne({ scope, key });
+      } catch (findError) {
+        return next(findError);
+      }
+      if (!existing) {
+        return res.status(409).json({ error: 'Request with this Idempotency-Key is being retried, try again' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+      if (existing.status === 'in_progress') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response once the handler sends it; server errors free the key for a retry
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode < 500
+        ? IdempotencyKey.updateOne(
+          { scope, key },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        )
+        : IdempotencyKey.deleteOne({ scope, key });
+      stored.catch(err => console.error('Idempotency key save error:', err.message));
+      return json(body);
+    };
+
+    next();
+  };
+
+  return { IdempotencyKey, idempotent };
+};
+
+module.exports = { createIdempotency };
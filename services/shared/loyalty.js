@@ -0,0 +1,25 @@
+// Loyalty programme, shared by user-service (which keeps the points ledger),
+// order-service (which turns rewards into discounts) and notification-service.
+// Points are earned on what the customer paid; tiers go by points earned over all time
+// and earn faster. Rewards are paid for with points at checkout.
+const POINTS_PER_DOLLAR = 10;
+
+// Lowest first; `points` is the lifetime total needed to reach the tier
+const TIERS = [
+  { id: 'bronze', name: 'Bronze', points: 0, multiplier: 1 },
+  { id: 'silver', name: 'Silver', points: 1000, multiplier: 1.25 },
+  { id: 'gold', name: 'Gold', points: 3000, multiplier: 1.5 }
+];
+
+// One unit of the most expensive item in these categories is free
+const REWARDS = [
+  { id: 'free-pastry', name: 'Free pastry or snack', points: 300, categories: ['pastry', 'snack'] },
+  { id: 'free-drink', name: 'Free drink', points: 500, categories: ['coffee', 'tea'] }
+];
+
+const tierFor = (lifetimePoints) =>
+  [...TIERS].reverse().find(tier => lifetimePoints >= tier.points) || TIERS[0];
+
+const findReward = (id) => REWARDS.find(reward => reward.id === id);
+
+module.exports = { POINTS_PER_DOLLAR, TIERS, REWARDS, tierFor, findReward };
\ No newline at end of file
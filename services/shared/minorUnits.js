@@ -0,0 +1,35 @@
+// Money is kept as integer minor units (cents) everywhere: menu and store prices, modifier
+// prices, promotions, orders, carts, payments, refunds and DELIVERY_FEE. Documents saved
+// before that held currency units (dollars) and have no `minorUnits` flag; each service
+// converts its own documents once it connects. Only unflagged documents are touched, so
+// running it again, or on several instances at once, converts each document once.
+
+// Currency units -> minor units (two decimal places); leaves missing amounts alone
+const toMinor = (amount) => (typeof amount === 'number' ? Math.round(amount * 100) : amount);
+
+// Schema path for the flag; set on every document saved from now on
+const MINOR_UNITS = { type: Boolean, default: true };
+
+// Validator for amounts, e.g. price: { type: Number, validate: inMinorUnits }
+const inMinorUnits = [(amount) => amount == null || Number.isInteger(amount), '{PATH} must be in cents'];
+
+// Convert the unflagged documents of `Model`. `convert(doc)` gets the raw document and returns
+// the fields to $set.
+const migrateToMinorUnits = async (Model, convert) => {
+  let converted = 0;
+  for await (const doc of Model.collection.find({ minorUnits: { $exists: false } })) {
+    const result = await Model.collection.updateOne(
+      { _id: doc._id, minorUnits: { $exists: false } },
+      { $set: { ...convert(doc), minorUnits: true } },
+      // Amounts a document never had stay missing rather than becoming null
+      { ignoreUndefined: true }
+    );
+    converted += result.modifiedCount;
+  }
+  if (converted) {
+    console.log(`Converted ${converted} ${Model.modelName} documents to minor units`);
+  }
+  return converted;
+};
+
+module.exports = { MINOR_UNITS, inMinorUnits, toMinor, migrateToMinorUnits };
\ No newline at end of file
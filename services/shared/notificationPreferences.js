@@ -0,0 +1,51 @@
+// Notification preferences, shared by user-service (which stores them) and
+// notification-service (which applies them before delivery).
+const { toMinutes, localClock, inWindow } = require('./timeOfDay');
+
+const NOTIFICATION_TYPES = ['order_update', 'payment_success', 'payment_failed', 'refund', 'loyalty', 'promotional', 'system'];
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Channels each type goes to until the user says otherwise
+const DEFAULT_CHANNELS = {
+  order_update: ['push'],
+  payment_success: ['email', 'push'],
+  payment_failed: ['email', 'sms', 'push'],
+  refund: ['email', 'push'],
+  loyalty: ['email', 'push'],
+  promotional: ['email'],
+  system: ['email', 'push']
+};
+
+// Quiet hours hold back these channels only; email does not wake anyone up
+const QUIET_CHANNELS = ['sms', 'push'];
+
+// Milliseconds until quiet hours end, or 0 when `date` is outside them.
+// Windows may wrap midnight (22:00-07:00).
+const quietHoursRemaining = (preferences, date = new Date()) => {
+  const quietHours = preferences && preferences.quietHours;
+  if (!quietHours || !quietHours.enabled) return 0;
+
+  const now = localClock(date, preferences.timezone || 'UTC').minutes;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end || !inWindow(now, start, end)) return 0;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  return (minutesLeft * 60 - date.getUTCSeconds()) * 1000;
+};
+
+// Channels the user wants this type on; promotional needs an explicit opt-in
+const channelsFor = (preferences, type) => {
+  if (type === 'promotional' && !(preferences && preferences.promotional)) return [];
+  const chosen = preferences && preferences.channels && preferences.channels[type];
+  return chosen || DEFAULT_CHANNELS[type] || CHANNELS;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  QUIET_CHANNELS,
+  quietHoursRemaining,
+  channelsFor
+};
@@ -0,0 +1,26 @@
+// Store opening hours, written like "Mon-Fri 07:00-19:00, Sat-Sun 08:00-17:00" in the
+// store's local time. Days left out are closed. Kept by product-service on each store and
+// read by order-service to offer pickup slots.
+const { WEEKDAYS, toMinutes } = require('./timeOfDay');
+
+const DEFAULT_OPENING_HOURS = 'Mon-Fri 07:00-19:00, Sat-Sun 08:00-17:00';
+
+// [{ open, close }] in minutes past midnight, indexed by day of the week (0 = Sunday)
+const parseOpeningHours = (spec) => {
+  const hours = Array(7).fill(null);
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^(\w{3})(?:-(\w{3}))?\s+(\d\d:\d\d)-(\d\d:\d\d)$/.exec(entry);
+    const first = match ? WEEKDAYS.indexOf(match[1]) : -1;
+    const last = match ? WEEKDAYS.indexOf(match[2] || match[1]) : -1;
+    if (first === -1 || last === -1 || toMinutes(match[3]) >= toMinutes(match[4])) {
+      throw new Error(`Invalid opening hours: ${entry}`);
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      hours[day] = { open: toMinutes(match[3]), close: toMinutes(match[4]) };
+      if (day === last) break;
+    }
+  }
+  return hours;
+};
+
+module.exports = { DEFAULT_OPENING_HOURS, parseOpeningHours };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Cursor pagination for list endpoints.
+// Query: limit, cursor (from the previous page) and sort (a field, `-field` for descending).
+// Responds with { items, nextCursor }; nextCursor is null on the last page.
+// The cursor holds the sort value and _id of the last item, so pages stay stable while
+// new documents are inserted ahead of them.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = 400;
+  }
+}
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!id) throw new Error();
+    return { value, id };
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+// { $gte, $lte } for `from` and `to` query values, or undefined when neither is set
+const dateRange = (from, to) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  for (const [op, value] of [['$gte', from], ['$lte', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw new PaginationError(`Invalid date: ${value}`);
+    }
+    range[op] = date;
+  }
+  return range;
+};
+
+// One page of `Model.find(filter)`. `sortable` lists the fields callers may sort on;
+// they should never be null, or documents with a null value would be skipped.
+const paginate = async (Model, filter, query, {
+  sortable = ['createdAt'],
+  defaultSort = '-createdAt',
+  select,
+  maxLimit = MAX_LIMIT
+} = {}) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new PaginationError('limit must be a positive integer');
+  }
+
+  const sort = query.sort || defaultSort;
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^-/, '');
+  if (!sortable.includes(field)) {
+    throw new PaginationError(`Cannot sort by ${field}; use one of ${sortable.join(', ')}`);
+  }
+
+  const conditions = [filter];
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor);
+    const op = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+      ]
+    });
+  }
+
+  const pageSize = Math.min(limit, maxLimit);
+  let find = Model.find({ $and: conditions })
+    .sort({ [field]: direction, _id: direction })
+    .limit(pageSize + 1);
+  if (select) find = find.select(select);
+
+  const docs = await find;
+  const items = docs.slice(0, pageSize);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: docs.length > pageSize ? encodeCursor(last.get(field), last._id) : null
+  };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, PaginationError, dateRange, paginate };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'unknown-service';
+const SERVICE_SECRET = process.env.SERVICE_SECRET || 'your-service-secret';
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Set by the nginx gateway on every proxied request; internal calls never carry it
+const GATEWAY_HEADER = 'x-gateway';
+
+// Signatures already accepted inside the skew window, to reject replays
+const seenSignatures = new Map();
+
+const sha256 = (data) => crypto.createHash('sha256').update(data || '').digest('hex');
+
+const sign = (service, timestamp, method, path, body) =>
+  crypto
+    .createHmac('sha256', SERVICE_SECRET)
+    .update([service, timestamp, method.toUpperCase(), path, sha256(body)].join('\n'))
+    .digest('hex');
+
+// Headers for an outgoing internal call. `body` must be what axios will send.
+const signRequest = (method, url, body) => {
+  const { pathname, search } = new URL(url);
+  const timestamp = Date.now().toString();
+  const payload = body === undefined ? '' : JSON.stringify(body);
+
+  return {
+    'X-Service-Name': SERVICE_NAME,
+    'X-Service-Timestamp': timestamp,
+    'X-Service-Signature': sign(SERVICE_NAME, timestamp, method, pathname + search, payload)
+  };
+};
+
+// Thin wrapper around the caller's axios that signs every request
+const serviceClient = (axios) => ({
+  get: (url, config = {}) =>
+    axios.get(url, { ...config, headers: { ...config.headers, ...signRequest('GET', url) } }),
+  post: (url, data, config = {}) =>
+    axios.post(url, data, { ...config, headers: { ...config.headers, ...signRequest('POST', url, data) } }),
+  patch: (url, data, config = {}) =>
+    axios.patch(url, data, { ...config, headers: { ...config.headers, ...signRequest('PATCH', url, data) } })
+});
+
+// express.json verify hook; the signature covers the exact bytes received
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+const isServiceRequest = (req) => !!req.headers['x-service-signature'];
+
+const pruneSeenSignatures = (now) => {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(signature);
+  }
+};
+
+// Accept only correctly signed calls from the listed services (any service if none listed)
+const requireService = (...services) => (req, res, next) => {
+  if (req.headers[GATEWAY_HEADER]) {
+    return res.status(403).json({ error: 'Internal endpoint' });
+  }
+
+  const service = req.headers['x-service-name'];
+  const timestamp = req.headers['x-service-timestamp'];
+  const signature = req.headers['x-service-signature'];
+
+  if (!service || !timestamp || !signature) {
+    return res.status(401).json({ error: 'Service credentials required' });
+  }
+
+  const now = Date.now();
+  if (Math.abs(now - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+    return res.status(401).json({ error: 'Service request expired' });
+  }
+
+  const expected = sign(service, timestamp, req.method, req.originalUrl, req.rawBody);
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid service signature' });
+  }
+
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(signature)) {
+    return res.status(401).json({ error: 'Service request replayed' });
+  }
+  seenSignatures.set(signature, now + MAX_CLOCK_SKEW_MS);
+
+  if (services.length && !services.includes(service)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  req.service = service;
+  next();
+};
+
+// Accept a signed service call, or fall through to the given user middlewares
+const serviceOr = (...middlewares) => (req, res, next) => {
+  if (isServiceRequest(req)) {
+    return requireService()(req, res, next);
+  }
+  const run = (i) => (i < middlewares.length ? middlewares[i](req, res, () => run(i + 1)) : next());
+  run(0);
+};
+
+module.exports = {
+  SERVICE_NAME,
+  GATEWAY_HEADER,
+  signRequest,
+  serviceClient,
+  captureRawBody,
+  isServiceRequest,
+  requireService,
+  serviceOr
+};
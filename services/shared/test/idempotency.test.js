@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createIdempotency } = require('../idempotency');
+
+// Just enough of mongoose for the IdempotencyKey model, kept in a Map
+const fakeMongoose = () => {
+  const keys = new Map();
+  const id = ({ scope, key }) => `${scope}|${key}`;
+  class Schema {
+    index() {
+      return this;
+    }
+  }
+  Schema.Types = { Mixed: Object };
+  const model = {
+    create: async (doc) => {
+      if (keys.has(id(doc))) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      keys.set(id(doc), { status: 'in_progress', ...doc });
+    },
+    findOne: async (filter) => keys.get(id(filter)) || null,
+    updateOne: async (filter, update) => {
+      Object.assign(keys.get(id(filter)), update);
+    },
+    deleteOne: async (filter) => {
+      keys.delete(id(filter));
+    }
+  };
+  return { Schema, model: () => model };
+};
+
+const request = (body, key = 'key-1') => ({
+  headers: { 'idempotency-key': key },
+  user: { userId: 'u1' },
+  method: 'POST',
+  baseUrl: '/api/orders',
+  path: '/',
+  body
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Run the middleware; `handler` stands in for the route when it calls next()
+const run = async (middleware, req, handler) => {
+  const res = response();
+  let nextError;
+  let handled = false;
+  await middleware(req, res, (error) => {
+    nextError = error;
+    if (!error) {
+      handled = true;
+      handler && handler(res);
+    }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled, nextError };
+};
+
+test('requests without a key go straight through', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  const req = request({ items: [1] });
+  delete req.headers['idempotency-key'];
+  const { handled } = await run(idempotent(), req);
+  assert.ok(handled);
+});
+
+test('a retry gets the stored response without running the handler again', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  const first = await run(idempotent(), request({ items: [1] }), res => res.status(201).json({ _id: 'o1' }));
+  assert.ok(first.handled);
+
+  const retry = await run(idempotent(), request({ items: [1] }), () => assert.fail('handler ran twice'));
+  assert.strictEqual(retry.handled, false);
+  assert.strictEqual(retry.res.statusCode, 201);
+  assert.deepStrictEqual(retry.res.body, { _id: 'o1' });
+  assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('reusing a key for a different request is rejected', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  await run(idempotent(), request({ items: [1] }), res => res.status(201).json({}));
+  const { res } = await run(idempotent(), request({ items: [2] }));
+  assert.strictEqual(res.statusCode, 422);
+});
+
+test('a retry while the first request is running gets 409', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  await run(idempotent(), request({ items: [1] }));
+  const { res, handled } = await run(idempotent(), request({ items: [1] }));
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 409);
+});
+
+test('server errors free the key for a retry', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  await run(idempotent(), request({ items: [1] }), res => res.status(503).json({ error: 'down' }));
+  const { handled } = await run(idempotent(), request({ items: [1] }), res => res.status(201).json({}));
+  assert.ok(handled);
+});
+
+test('keys are scoped to the caller', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  await run(idempotent(), request({ items: [1] }), res => res.status(201).json({}));
+  const other = { ...request({ items: [1] }), user: { userId: 'u2' } };
+  const { handled } = await run(idempotent(), other, res => res.status(201).json({}));
+  assert.ok(handled);
+});
+
+test('overlong keys are rejected', async () => {
+  const { idempotent } = createIdempotency(fakeMongoose());
+  const { res, handled } = await run(idempotent(), request({}, 'k'.repeat(256)));
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test('lookup errors go to the error handler', async () => {
+  const mongoose = fakeMongoose();
+  const { idempotent } = createIdempotency(mongoose);
+  await run(idempotent(), request({ items: [1] }), res => res.status(201).json({}));
+  mongoose.model().findOne = async () => { throw new Error('connection lost'); };
+  const { nextError } = await run(idempotent(), request({ items: [1] }));
+  assert.strictEqual(nextError.message, 'connection lost');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Times of day ("HH:MM") and the wall clock in a time zone, for store opening hours and pickup
+// slots, happy hours and quiet hours.
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "HH:MM" -> minutes past midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The clock in `timeZone` at `date`: { day: 'YYYY-MM-DD', weekday (0 = Sunday), minutes past midnight }
+const localClock = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Whether `minutes` is from `start` up to `end` (minutes past midnight); windows may wrap
+// midnight (22:00-02:00)
+const inWindow = (minutes, start, end) =>
+  (start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end);
+
+module.exports = { WEEKDAYS, TIME_OF_DAY, isValidTimeZone, toMinutes, localClock, inWindow };
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Loyalty points ledger.
+// Every change to a customer's points is an entry: earned when an order's payment completes,
+// reversed in proportion to refunds, spent on a reward at checkout and given back when that
+// order is cancelled. Each entry has a unique key, so events delivered twice and retried
+// service calls change the balance once. The user carries the running balance and the
+// lifetime total that decides their tier.
+const mongoose = require('mongoose');
+const { POINTS_PER_DOLLAR, TIERS, REWARDS, tierFor, findReward } = require('../shared/loyalty');
+
+const ENTRY_TYPES = ['earn', 'reverse', 'redeem', 'restore'];
+
+class LoyaltyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LoyaltyError';
+    this.status = status;
+  }
+}
+
+const LoyaltyEntry = mongoose.model('LoyaltyEntry', new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, enum: ENTRY_TYPES, required: true },
+  // Positive for earn and restore, negative for reverse and redeem
+  points: { type: Number, required: true },
+  orderId: String,
+  reward: String,
+  description: String,
+  // e.g. earn:<orderId>, reverse:<refundId>; one entry per key
+  key: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now }
+}).index({ userId: 1, createdAt: -1 }));
+
+const LoyaltySchema = new mongoose.Schema({
+  points: { type: Number, default: 0 },
+  // Earned minus reversed; redemptions do not count against it
+  lifetimePoints: { type: Number, default: 0 }
+}, { _id: false });
+
+const createLoyalty = ({ User, events }) => {
+  // Add an entry and apply it to the user's balance in one transaction.
+  // `minimum` makes it fail unless the balance covers the points taken.
+  // Returns the existing entry when one with the same key was already applied.
+  const post = async ({ userId, points, lifetimePoints = 0, minimum, ...fields }) => {
+    try {
+      return await events.transaction(async (session) => {
+        const [entry] = await LoyaltyEntry.create([{ userId, points, ...fields }], { session });
+
+        const user = await User.findOneAndUpdate(
+          { _id: userId, ...(minimum && { 'loyalty.points': { $gte: minimum } }) },
+          { $inc: { 'loyalty.points': points, 'loyalty.lifetimePoints': lifetimePoints } },
+          { session }
+        );
+        if (!user) {
+          // Rolled back with the transaction anyway; without one the key must stay free
+          await LoyaltyEntry.deleteOne({ _id: entry._id }, { session });
+          if (minimum && await User.exists({ _id: userId })) {
+            throw new LoyaltyError(`Not enough points: ${minimum} needed`, 409);
+          }
+          throw new LoyaltyError('User not found', 404);
+        }
+
+        const before = user.loyalty || {};
+        const balance = (before.points || 0) + points;
+        const fromTier = tierFor(before.lifetimePoints || 0);
+        const toTier = tierFor((before.lifetimePoints || 0) + lifetimePoints);
+
+        const changes = [];
+        if (fromTier.id !== toTier.id) {
+          changes.push(events.event('LoyaltyTierChanged', userId, {
+            userId,
+            from: fromTier.id,
+            to: toTier.id,
+            tier: toTier.name
+          }));
+        }
+        // Only points earned unlock rewards; getting spent points back does not
+        if (fields.type === 'earn') {
+          for (const reward of REWARDS) {
+            if ((before.points || 0) < reward.points && balance >= reward.points) {
+              changes.push(events.event('LoyaltyRewardUnlocked', userId, {
+                userId,
+                reward: reward.id,
+                name: reward.name,
+                points: reward.points,
+                balance
+              }));
+            }
+          }
+        }
+        if (changes.length) {
+          await events.record(changes, session);
+        }
+        return entry;
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return LoyaltyEntry.findOne({ key: fields.key });
+    }
+  };
+
+  // Points for a completed payment (amount in cents), at the customer's tier before this order
+  const earn = async ({ userId, orderId, amount }) => {
+    const user = await User.findById(userId).select('loyalty');
+    if (!user) return null;
+
+    const points = Math.floor(amount / 100 * POINTS_PER_DOLLAR * tierFor(user.loyalty.lifetimePoints).multiplier);
+    if (points <= 0) return null;
+
+    return post({
+      userId,
+      type: 'earn',
+      points,
+      lifetimePoints: points,
+      orderId,
+      description: `Order #${String(orderId).slice(-6)}`,
+      key: `earn:${orderId}`
+    });
+  };
+
+  // Take back the points a refund paid for; a full refund takes back whatever is left
+  const reverse = async ({ userId, orderId, amount, status, refund }) => {
+    const earned = await LoyaltyEntry.findOne({ key: `earn:${orderId}` });
+    if (!earned) return null;
+
+    const reversed = await LoyaltyEntry.find({ type: 'reverse', orderId });
+    const remaining = earned.points + reversed.reduce((sum, entry) => sum + entry.points, 0);
+    const points = status === 'refunded'
+      ? remaining
+      : Math.min(remaining, Math.round(earned.points * refund.amount / amount));
+    if (points <= 0) return null;
+
+    return post({
+      userId,
+      type: 'reverse',
+      points: -points,
+      lifetimePoints: -points,
+      orderId,
+      description: `Refund on order #${String(orderId).slice(-6)}`,
+      key: `reverse:${refund.refundId}`
+    });
+  };
+
+  // Spend points on a reward for an order; throws LoyaltyError when the balance is too low
+  const redeem = async ({ userId, orderId, reward: rewardId }) => {
+    const reward = findReward(rewardId);
+    if (!reward) {
+      throw new LoyaltyError(`Unknown reward: ${rewardId}`);
+    }
+
+    return post({
+      userId,
+      type: 'redeem',
+      points: -reward.points,
+      minimum: reward.points,
+      orderId,
+      reward: reward.id,
+      description: `${reward.name} on order #${String(orderId).slice(-6)}`,
+      key: `redeem:${orderId}`
+    });
+  };
+
+  // Give back the points spent on a cancelled order, or null when none were
+  const restore = async (orderId) => {
+    const redeemed = await LoyaltyEntry.findOne({ key: `redeem:${orderId}` });
+    if (!redeemed) return null;
+
+    return post({
+      userId: redeemed.userId,
+      type: 'restore',
+      points: -redeemed.points,
+      orderId,
+      reward: redeemed.reward,
+      description: `Order #${String(orderId).slice(-6)} cancelled`,
+      key: `restore:${orderId}`
+    });
+  };
+
+  // Balance, tier, progress to the next tier and the rewards the balance covers
+  const summary = (user) => {
+    const { points, lifetimePoints } = user.loyalty;
+    const tier = tierFor(lifetimePoints);
+    const next = TIERS[TIERS.indexOf(tier) + 1];
+    return {
+      points,
+      lifetimePoints,
+      tier,
+      nextTier: next ? { ...next, pointsNeeded: next.points - lifetimePoints } : null,
+      pointsPerDollar: POINTS_PER_DOLLAR,
+      rewards: REWARDS.map(reward => ({ ...reward, available: points >= reward.points }))
+    };
+  };
+
+  return { earn, reverse, redeem, restore, summary };
+};
+
+module.exports = { ENTRY_TYPES, LoyaltyEntry, LoyaltyError, LoyaltySchema, createLoyalty };
\ No newline at end of file
@@ -3,30 +3,119 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { JWT_SECRET, ROLES, authenticate, requireRole, requireSelfOrRole } = require('../shared/auth');
+const { captureRawBody, requireService, serviceOr } = require('../shared/serviceAuth');
+const { createEventBus } = require('../shared/eventBus');
+const { PaginationError, dateRange, paginate } = require('../shared/pagination');
+const { ALLERGENS } = require('../shared/allergens');
+const { ENTRY_TYPES, LoyaltyEntry, LoyaltyError, LoyaltySchema, createLoyalty } = require('./loyalty');
+const { NOTIFICATION_TYPES, CHANNELS, DEFAULT_CHANNELS } = require('../shared/notificationPreferences');
+const { TIME_OF_DAY, isValidTimeZone } = require('../shared/timeOfDay');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 const PORT = process.env.PORT || 3001;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/coffee-users';
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
 mongoose.connect(MONGO_URI)
   .then(() => console.log('User Service: Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Channels per notification type, e.g. { refund: ['email'], order_update: ['push', 'sms'] }
+const ChannelPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+    type: [{ type: String, enum: CHANNELS }],
+    default: () => DEFAULT_CHANNELS[type]
+  }])),
+  { _id: false }
+);
+
+const NotificationPreferencesSchema = new mongoose.Schema({
+  channels: { type: ChannelPreferencesSchema, default: () => ({}) },
+  // Opt-in: no promotional messages unless the user asks for them
+  promotional: { type: Boolean, default: false },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: { validator: isValidTimeZone, message: 'Unknown time zone {VALUE}' }
+  },
+  // No SMS or push between start and end (HH:MM, local time); may wrap midnight
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: TIME_OF_DAY },
+    end: { type: String, default: '07:00', match: TIME_OF_DAY }
+  }
+}, { _id: false });
+
+const MAX_ADDRESSES = 10;
+
+// Saved delivery address; order-service copies it onto the order at checkout
+const AddressSchema = new mongoose.Schema({
+  // e.g. Home, Work
+  label: { type: String, trim: true },
+  line1: { type: String, required: true, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  postcode: { type: String, required: true, trim: true, uppercase: true },
+  // For the driver, e.g. "ring twice"
+  instructions: String,
+  // Optional coordinates, for the delivery radius check
+  location: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
+  isDefault: { type: Boolean, default: false }
+});
+
 const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   name: String,
   phone: String,
-  role: { type: String, default: 'customer' },
+  role: { type: String, enum: ROLES, default: 'customer' },
+  // Store a barista works at (a product-service Store id); admins work across stores
+  storeId: String,
+  notificationPreferences: { type: NotificationPreferencesSchema, default: () => ({}) },
+  // Allergens to warn about on the menu and at checkout
+  allergens: [{ type: String, enum: ALLERGENS }],
+  addresses: {
+    type: [AddressSchema],
+    validate: [list => list.length <= MAX_ADDRESSES, `You can save up to ${MAX_ADDRESSES} addresses`]
+  },
+  // Points balance; the ledger is in LoyaltyEntry
+  loyalty: { type: LoyaltySchema, default: () => ({}) },
+  // Disabled accounts cannot log in; tokens already issued run out within 24h
+  disabled: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
 });
 
 const User = mongoose.model('User', UserSchema);
 
+const events = createEventBus({ mongoose, service: 'user-service' });
+
+const loyalty = createLoyalty({ User, events });
+
+// Points for what the customer paid, once the payment for their order completes
+events.subscribe('PaymentCompleted', async (event) => {
+  await loyalty.earn(event.payload);
+});
+
+events.subscribe('PaymentRefunded', async (event) => {
+  await loyalty.reverse(event.payload);
+});
+
+// Cancelled orders give back the points spent on their reward
+events.subscribe('OrderStatusChanged', async (event) => {
+  if (event.payload.to !== 'cancelled') return;
+  await loyalty.restore(event.payload.orderId);
+});
+
+mongoose.connection.once('open', () => {
+  events.start().catch(err => console.error('Event bus start error:', err.message));
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'user-service' });
@@ -44,7 +133,15 @@ app.post('/api/users/register', async (req, res) => {
     
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({ email, password: hashedPassword, name, phone });
-    await user.save();
+    await events.transaction(async (session) => {
+      await user.save({ session });
+      await events.record(events.event('UserRegistered', user._id, {
+        userId: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }), session);
+    });
     
     res.status(201).json({ 
       message: 'User created successfully', 
@@ -68,8 +165,12 @@ app.post('/api/users/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    if (user.disabled) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+    
     const token = jwt.sign(
-      { userId: user._id, role: user.role, email: user.email }, 
+      { userId: user._id, role: user.role, email: user.email, storeId: user.storeId }, 
       JWT_SECRET, 
       { expiresIn: '24h' }
     );
@@ -80,7 +181,8 @@ app.post('/api/users/login', async (req, res) => {
         id: user._id, 
         email: user.email, 
         name: user.name,
-        role: user.role
+        role: user.role,
+        storeId: user.storeId
       } 
     });
   } catch (error) {
@@ -90,15 +192,9 @@ app.post('/api/users/login', async (req, res) => {
 });
 
 // Get user profile
-app.get('/api/users/profile', async (req, res) => {
+app.get('/api/users/profile', authenticate, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-    
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(req.user.userId).select('-password');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -107,12 +203,204 @@ app.get('/api/users/profile', async (req, res) => {
     res.json(user);
   } catch (error) {
     console.error('Profile error:', error);
-    res.status(401).json({ error: 'Unauthorized' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get notification preferences
+app.get('/api/users/profile/preferences', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update notification preferences; only the fields sent are changed
+app.put('/api/users/profile/preferences', authenticate, async (req, res) => {
+  try {
+    const { channels, promotional, timezone, quietHours } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const preferences = user.notificationPreferences;
+    if (channels !== undefined) {
+      for (const [type, list] of Object.entries(channels)) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          return res.status(400).json({ error: `Unknown notification type: ${type}` });
+        }
+        if (!Array.isArray(list)) {
+          return res.status(400).json({ error: `Channels for ${type} must be a list` });
+        }
+        preferences.channels[type] = [...new Set(list)];
+      }
+    }
+    if (promotional !== undefined) preferences.promotional = Boolean(promotional);
+    if (timezone !== undefined) preferences.timezone = timezone;
+    if (quietHours !== undefined) {
+      for (const field of ['enabled', 'start', 'end']) {
+        if (quietHours[field] !== undefined) preferences.quietHours[field] = quietHours[field];
+      }
+    }
+    
+    await user.save();
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Get user by ID (internal service call)
-app.get('/api/users/:id', async (req, res) => {
+// Replace the allergens the user wants to be warned about
+app.put('/api/users/profile/allergens', authenticate, async (req, res) => {
+  try {
+    const { allergens } = req.body;
+    if (!Array.isArray(allergens)) {
+      return res.status(400).json({ error: 'allergens must be a list' });
+    }
+    const unknown = allergens.find(allergen => !ALLERGENS.includes(allergen));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown allergen: ${unknown}` });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { allergens: [...new Set(allergens)] },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user.allergens);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'postcode', 'instructions', 'location'];
+
+// Exactly one address is the default while there are any
+const keepOneDefault = (user, preferred) => {
+  const chosen = preferred || user.addresses.find(address => address.isDefault) || user.addresses[0];
+  user.addresses.forEach(address => { address.isDefault = address === chosen; });
+};
+
+// List my saved addresses
+app.get('/api/users/profile/addresses', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('addresses');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save an address; isDefault makes it the default (the first address always is)
+app.post('/api/users/profile/addresses', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const fields = ADDRESS_FIELDS.filter(field => req.body[field] !== undefined);
+    user.addresses.push(Object.fromEntries(fields.map(field => [field, req.body[field]])));
+    const address = user.addresses[user.addresses.length - 1];
+    keepOneDefault(user, req.body.isDefault ? address : null);
+    await user.save();
+    
+    res.status(201).json(address);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a saved address; only the fields sent are changed
+app.put('/api/users/profile/addresses/:addressId', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    
+    for (const field of ADDRESS_FIELDS) {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    }
+    if (req.body.isDefault) keepOneDefault(user, address);
+    await user.save();
+    
+    res.json(address);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved address; the next one becomes the default if needed
+app.delete('/api/users/profile/addresses/:addressId', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    
+    address.deleteOne();
+    keepOneDefault(user);
+    await user.save();
+    
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List users, optionally by role (admin or internal service call)
+// Query: role, storeId, q (name or email), sort (createdAt or email), limit, cursor
+app.get('/api/users', serviceOr(authenticate, requireRole('admin')), async (req, res) => {
+  try {
+    const { role, storeId, q } = req.query;
+    const filter = {};
+    if (role) filter.role = role;
+    if (storeId) filter.storeId = storeId;
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ email: pattern }, { name: pattern }];
+    }
+    
+    const page = await paginate(User, filter, req.query, {
+      sortable: ['createdAt', 'email'],
+      select: '-password'
+    });
+    res.json(page);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user by ID (self, admin or internal service call)
+app.get('/api/users/:id', serviceOr(authenticate, requireSelfOrRole('id', 'admin')), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) {
@@ -124,6 +412,164 @@ app.get('/api/users/:id', async (req, res) => {
   }
 });
 
+// Loyalty balance, tier and rewards (self, admin or internal service call)
+app.get('/api/users/:id/loyalty', serviceOr(authenticate, requireSelfOrRole('id', 'admin')), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('loyalty');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(loyalty.summary(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Points history, newest first (self or admin)
+// Query: type, from, to, limit, cursor
+app.get('/api/users/:id/loyalty/history', authenticate, requireSelfOrRole('id', 'admin'), async (req, res) => {
+  try {
+    const { type, from, to } = req.query;
+    const filter = { userId: req.params.id };
+    if (type) {
+      if (!ENTRY_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${ENTRY_TYPES.join(', ')}` });
+      }
+      filter.type = type;
+    }
+    const createdAt = dateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+    
+    const page = await paginate(LoyaltyEntry, filter, req.query);
+    res.json(page);
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Spend points on a reward for an order (order saga)
+// Body: { orderId, reward }; repeating it for the same order changes nothing
+app.post('/api/users/:id/loyalty/redemptions', requireService('order-service'), async (req, res) => {
+  try {
+    const { orderId, reward } = req.body;
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId is required' });
+    }
+    const entry = await loyalty.redeem({ userId: req.params.id, orderId, reward });
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error instanceof LoyaltyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Give back the points spent on an order (order saga compensation)
+app.post('/api/users/:id/loyalty/redemptions/:orderId/restore', requireService('order-service'), async (req, res) => {
+  try {
+    const entry = await loyalty.restore(req.params.orderId);
+    if (!entry) {
+      return res.status(404).json({ error: 'No points were spent on this order' });
+    }
+    res.json(entry);
+  } catch (error) {
+    if (error instanceof LoyaltyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role (admin only); takes effect at their next login
+app.patch('/api/users/:id/role', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    await events.transaction(async (session) => {
+      await user.save({ session });
+      await events.record(events.event('UserRoleChanged', user._id, {
+        userId: user._id,
+        from: previousRole,
+        to: role,
+        changedBy: req.user.userId
+      }), session);
+    });
+    
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Assign a staff member to a store, or null to unassign (admin only).
+// Takes effect at their next login.
+app.patch('/api/users/:id/store', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { storeId } = req.body;
+    if (storeId && !mongoose.isValidObjectId(storeId)) {
+      return res.status(400).json({ error: 'Invalid storeId' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (storeId && user.role === 'customer') {
+      return res.status(400).json({ error: 'Only staff can be assigned to a store' });
+    }
+    
+    user.storeId = storeId || undefined;
+    await user.save();
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a user's details or disable the account (admin only)
+app.patch('/api/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, phone, disabled } = req.body;
+    
+    if (disabled && req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+    
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (phone !== undefined) update.phone = phone;
+    if (disabled !== undefined) update.disabled = Boolean(disabled);
+    
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+      .select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`User service running on port ${PORT}`);
 });
\ No newline at end of file